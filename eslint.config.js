@@ -0,0 +1,14 @@
+import js from "@eslint/js";
+import globals from "globals";
+
+export default [
+  { ignores: ["dist/"] },
+  js.configs.recommended,
+  {
+    languageOptions: { globals: globals.browser },
+  },
+  {
+    files: ["*.config.js", "test/**/*.js"],
+    languageOptions: { globals: globals.node },
+  },
+];
@@ -0,0 +1,104 @@
+// Synthesized sound effects: [start frequency, duration (s), waveform, end frequency, volume].
+const SOUNDS = {
+  coin: [988, 0.15, "square", 1976, 0.15],
+  crash: [180, 0.6, "sawtooth", 30, 0.5],
+  lane: [260, 0.1, "triangle", 420, 0.12],
+  jump: [330, 0.2, "square", 880, 0.1],
+  countdown: [660, 0.12, "sine", 660, 0.3],
+  go: [990, 0.3, "sine", 990, 0.3],
+  powerup: [520, 0.3, "sine", 1560, 0.15],
+  shield: [220, 0.35, "square", 660, 0.2],
+  autopilotWarning: [880, 0.5, "square", 440, 0.15],
+  supercharger: [330, 0.45, "sawtooth", 1320, 0.12],
+  repairKit: [440, 0.3, "triangle", 880, 0.2],
+  hit: [160, 0.3, "sawtooth", 60, 0.35],
+  nearMiss: [1200, 0.15, "sine", 400, 0.12],
+  batteryLow: [440, 0.4, "triangle", 220, 0.2],
+};
+
+// Web Audio output for effects and the engine drone. Browsers only allow an
+// AudioContext after a user gesture, so it is created lazily by unlock().
+export class AudioEngine {
+  constructor(settings) {
+    this.settings = settings;
+    this.context = null;
+    this.engineOscillator = null;
+    this.engineRunning = false;
+  }
+
+  ensureContext() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (this.context || !AudioContext) return this.context;
+    this.context = new AudioContext();
+    this.master = this.context.createGain();
+    this.sfx = this.context.createGain();
+    this.engine = this.context.createGain();
+    this.sfx.connect(this.master);
+    this.engine.connect(this.master);
+    this.master.connect(this.context.destination);
+    this.applyVolumes();
+    this.setEngine(this.engineRunning);
+    return this.context;
+  }
+
+  unlock() {
+    const context = this.ensureContext();
+    if (context && context.state === "suspended") context.resume();
+  }
+
+  applyVolumes() {
+    if (!this.context) return;
+    this.master.gain.value = this.settings.get("masterVolume");
+    this.sfx.gain.value = this.settings.get("sfxVolume");
+    this.engine.gain.value = this.settings.get("engineVolume") * 0.15;
+  }
+
+  tone(frequency, duration, type = "sine", endFrequency = frequency, volume = 0.3) {
+    const context = this.context;
+    if (!context || context.state !== "running") return;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const now = context.currentTime;
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, now);
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+    oscillator.connect(gain);
+    gain.connect(this.sfx);
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  }
+
+  play(name) {
+    const sound = SOUNDS[name];
+    if (sound) this.tone(...sound);
+  }
+
+  setEngine(running) {
+    this.engineRunning = running;
+    const context = this.context;
+    if (!context) return;
+    if (running && !this.engineOscillator) {
+      this.engineOscillator = context.createOscillator();
+      this.engineOscillator.type = "sawtooth";
+      this.engineOscillator.frequency.value = 50;
+      this.engineOscillator.connect(this.engine);
+      this.engineOscillator.start();
+    } else if (!running && this.engineOscillator) {
+      this.engineOscillator.stop();
+      this.engineOscillator.disconnect();
+      this.engineOscillator = null;
+    }
+  }
+
+  setEngineSpeed(speed) {
+    if (this.engineOscillator) this.engineOscillator.frequency.value = 40 + speed * 1.5;
+  }
+
+  dispose() {
+    this.setEngine(false);
+    this.context?.close();
+    this.context = null;
+  }
+}
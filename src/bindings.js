@@ -0,0 +1,154 @@
+// Input bindings are strings of the form "<device>:<code>": "key:a" for a
+// keyboard key, "pad:0" for a gamepad button or stick direction, and
+// "gesture:tap" for a touch gesture. Each action owns a list of them.
+const ACTIONS = [
+  { id: "left", label: "Move left", bindings: ["key:ArrowLeft", "pad:14", "pad:stickLeft", "gesture:swipeLeft"] },
+  { id: "right", label: "Move right", bindings: ["key:ArrowRight", "pad:15", "pad:stickRight", "gesture:swipeRight"] },
+  { id: "jump", label: "Jump", bindings: ["key:ArrowUp", "key: ", "pad:12", "pad:stickUp", "gesture:swipeUp"] },
+  { id: "duck", label: "Duck", bindings: ["key:ArrowDown", "pad:13", "pad:stickDown", "gesture:swipeDown"] },
+  { id: "pause", label: "Pause", bindings: ["key:Escape", "key:p", "pad:9"] },
+  { id: "restart", label: "Restart / resume", bindings: ["key:Enter", "key:r", "pad:0", "gesture:tap"] },
+];
+
+// Letter keys for each keyboard layout, added in front of the shared defaults.
+const LAYOUT_BINDINGS = {
+  wasd: { left: ["key:a"], right: ["key:d"], jump: ["key:w"], duck: ["key:s"] },
+  azerty: { left: ["key:q"], right: ["key:d"], jump: ["key:z"], duck: ["key:s"] },
+};
+
+const PAD_BUTTON_NAMES = {
+  0: "A",
+  1: "B",
+  2: "X",
+  3: "Y",
+  4: "LB",
+  5: "RB",
+  6: "LT",
+  7: "RT",
+  8: "Back",
+  9: "Start",
+  12: "D-pad up",
+  13: "D-pad down",
+  14: "D-pad left",
+  15: "D-pad right",
+  stickLeft: "Stick left",
+  stickRight: "Stick right",
+  stickUp: "Stick up",
+  stickDown: "Stick down",
+};
+
+const GESTURE_NAMES = {
+  swipeLeft: "Swipe left",
+  swipeRight: "Swipe right",
+  swipeUp: "Swipe up",
+  swipeDown: "Swipe down",
+  tap: "Tap",
+};
+
+// Gamepad inputs that navigate the menus regardless of the action bindings.
+export const MENU_KEY_ALIASES = {
+  "pad:0": "Enter",
+  "pad:1": "Escape",
+  "pad:12": "ArrowUp",
+  "pad:13": "ArrowDown",
+  "pad:stickUp": "ArrowUp",
+  "pad:stickDown": "ArrowDown",
+};
+
+export function formatBinding(binding) {
+  const separator = binding.indexOf(":");
+  const device = binding.slice(0, separator);
+  const code = binding.slice(separator + 1);
+  if (device === "key") {
+    if (code === " ") return "Space";
+    return code.length === 1 ? code.toUpperCase() : code;
+  }
+  if (device === "pad") return `Pad ${PAD_BUTTON_NAMES[code] ?? code}`;
+  return GESTURE_NAMES[code] ?? code;
+}
+
+// Action bindings persisted to localStorage. A binding belongs to at most one
+// action, and every action keeps at least one binding.
+export class InputMap {
+  constructor(key = "teslaRunner.bindings.v1", actions = ACTIONS) {
+    this.key = key;
+    this.actions = actions;
+    this.bindings = this.load();
+    this.listeners = new Set();
+  }
+
+  // Letter keys are stored lower-case so Shift or Caps Lock don't matter.
+  static keyBinding(key) {
+    return `key:${key.length === 1 ? key.toLowerCase() : key}`;
+  }
+
+  getDefaults(layout = "wasd") {
+    const bindings = {};
+    for (const action of this.actions) {
+      bindings[action.id] = [...(LAYOUT_BINDINGS[layout]?.[action.id] || []), ...action.bindings];
+    }
+    return bindings;
+  }
+
+  // Stored lists replace the defaults per action; unreadable or empty ones are ignored.
+  load() {
+    const bindings = this.getDefaults();
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.key)) || {};
+      for (const id in bindings) {
+        if (!Array.isArray(saved[id])) continue;
+        const valid = saved[id].filter((binding) => typeof binding === "string" && binding.includes(":"));
+        if (valid.length) bindings[id] = valid;
+      }
+    } catch {
+      // Fall back to the defaults.
+    }
+    return bindings;
+  }
+
+  save() {
+    localStorage.setItem(this.key, JSON.stringify(this.bindings));
+    for (const listener of this.listeners) listener(this.bindings);
+  }
+
+  getAction(binding) {
+    for (const id in this.bindings) {
+      if (this.bindings[id].includes(binding)) return id;
+    }
+    return null;
+  }
+
+  getBindings(id) {
+    return this.bindings[id] || [];
+  }
+
+  // Returns the action that already owns the binding, or null once it is bound.
+  bind(id, binding) {
+    const owner = this.getAction(binding);
+    if (owner) return owner;
+    this.bindings[id].push(binding);
+    this.save();
+    return null;
+  }
+
+  canUnbind(id) {
+    return this.getBindings(id).length > 1;
+  }
+
+  unbind(id, binding) {
+    if (!this.canUnbind(id)) return false;
+    this.bindings[id] = this.getBindings(id).filter((other) => other !== binding);
+    this.save();
+    return true;
+  }
+
+  reset(layout) {
+    this.bindings = this.getDefaults(layout);
+    this.save();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
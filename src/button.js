@@ -0,0 +1,14 @@
+export function createButton(label, onClick, color = "#4CAF50") {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.style.padding = "10px 20px";
+  button.style.margin = "5px";
+  button.style.fontSize = "16px";
+  button.style.cursor = "pointer";
+  button.style.backgroundColor = color;
+  button.style.border = "none";
+  button.style.color = "white";
+  button.style.borderRadius = "5px";
+  button.onclick = onClick;
+  return button;
+}
@@ -0,0 +1,1091 @@
+import { AudioEngine } from "./audio.js";
+import { InputMap, MENU_KEY_ALIASES } from "./bindings.js";
+import { createButton } from "./button.js";
+import { GamepadInput } from "./gamepad.js";
+import { MainMenu } from "./menu.js";
+import { ReplayPlayer } from "./replay-player.js";
+import { parseChunks } from "./sim/chunks.js";
+import { CUSTOM_DIFFICULTY_FIELDS, DIFFICULTIES } from "./sim/difficulty.js";
+import { POWERUP_TYPES } from "./sim/entities.js";
+import { MODES } from "./sim/modes.js";
+import { hashSeed } from "./sim/random.js";
+import { parseReplay } from "./sim/replay.js";
+import { computeScore } from "./sim/scoring.js";
+import { Simulation } from "./sim/simulation.js";
+import { SettingsPanel } from "./settings-panel.js";
+import { DEFAULT_SETTINGS, Settings } from "./settings.js";
+import { STATE_TRANSITIONS, StateMachine } from "./state.js";
+import { TouchControls } from "./touch.js";
+import { CAR_COLORS, View } from "./view.js";
+
+export class Game {
+  constructor(container = document.body) {
+    this.container = container;
+    this.elements = [];
+    this.abortController = new AbortController();
+    this.animationFrame = null;
+    this.destroyed = false;
+    this.highScores = {};
+    this.FIXED_TIMESTEP = 1 / 60;
+    this.MAX_FRAME_TIME = 0.25;
+    this.COMBO_FX_DURATION = 800;
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+    this.INITIAL_DELAY = 5000;
+    this.CRASH_DURATION = 800;
+    this.IDLE_SPEED = 7.5;
+    this.countdownRemaining = 0;
+    this.crashRemaining = 0;
+    this.renderAlpha = 0;
+    this.inputEnabled = false;
+    this.replayPlayer = null;
+    this.lastReplay = null;
+    const params = new URLSearchParams(window.location.search);
+    this.seedParam = params.get("seed");
+    this.debug = params.has("debug");
+    this.settings = new Settings();
+    // A ?difficulty= link picks the difficulty for this visit without saving it.
+    this.difficultyOverride = null;
+    if (DIFFICULTIES.some((difficulty) => difficulty.id === params.get("difficulty"))) this.difficultyOverride = params.get("difficulty");
+    this.inputMap = new InputMap();
+    this.chunks = null;
+    this.chunkError = null;
+    this.CHUNKS_URL = "chunks.json";
+    this.audio = new AudioEngine(this.settings);
+    this.modeId = this.getMode(localStorage.getItem("gameMode")).id;
+    this.carColor = Number(localStorage.getItem("carColor")) || CAR_COLORS[0].color;
+    this.loadHighScores();
+    this.simulation = new Simulation();
+    this.view = new View(this.simulation, container);
+    this.view.setCarColor(this.carColor);
+    this.setupEventListeners();
+    this.touchControls = new TouchControls(this, this.view.renderer.domElement);
+    this.gamepad = new GamepadInput(this);
+    this.createGameOverScreen();
+    this.createDistanceCounter();
+    this.createPowerupHud();
+    this.createAutopilotBanner();
+    this.createComboDisplay();
+    this.createCountdown();
+    this.createPauseOverlay();
+    this.menu = new MainMenu(this);
+    this.settingsPanel = new SettingsPanel(this);
+    this.loadChunks();
+    this.applySettings();
+    this.settings.subscribe((key) => {
+      if (key === "difficulty") this.difficultyOverride = null;
+      this.applySettings();
+    });
+    this.setupStateMachine();
+    this.state.transition("menu");
+    this.animate();
+  }
+
+  // Each state owns its per-frame work; the HUD and input follow state changes
+  // through subscriptions rather than checking flags every frame.
+  setupStateMachine() {
+    this.state = new StateMachine(STATE_TRANSITIONS, "boot")
+      .on("menu", {
+        enter: () => {
+          this.createIdleSimulation().start();
+          this.menu.show();
+        },
+        exit: () => this.menu.hide(),
+        update: (dt) => {
+          this.view.idle(dt);
+          this.update(dt);
+        },
+      })
+      .on("countdown", {
+        enter: (from, data) => {
+          if (!data.reset) return;
+          this.createSimulation(this.modeId, this.nextSeed());
+          this.accumulator = 0;
+          this.countdownRemaining = this.INITIAL_DELAY;
+        },
+        update: (dt) => this.updateCountdown(dt),
+      })
+      .on("playing", {
+        enter: () => this.simulation.start(),
+        update: (dt) => {
+          this.update(dt);
+          this.audio.setEngineSpeed(this.simulation.speed);
+        },
+      })
+      .on("crashed", {
+        enter: () => {
+          this.crashRemaining = this.CRASH_DURATION;
+        },
+        update: (dt) => {
+          this.crashRemaining -= dt * 1000;
+          if (this.crashRemaining <= 0) this.state.transition("gameOver");
+        },
+      })
+      .on("gameOver", {
+        enter: (from) => {
+          if (from !== "replay") this.showGameOver();
+        },
+      })
+      .on("replay", {
+        enter: (from, data) => {
+          this.setReplayStatus("");
+          this.replayPlayer = new ReplayPlayer(this, data.replay);
+        },
+        exit: () => {
+          this.replayPlayer.destroy();
+          this.replayPlayer = null;
+        },
+        update: (dt) => {
+          this.renderAlpha = this.replayPlayer.update(dt);
+        },
+      });
+    this.state.subscribe((state) => this.updateHudVisibility(state));
+    this.state.subscribe((state) => {
+      this.inputEnabled = state === "playing";
+    });
+    this.state.subscribe((state) => this.view.setIdle(state === "menu"));
+    this.state.subscribe((state) => this.touchControls.setVisible(state === "countdown" || state === "playing"));
+    this.state.subscribe((state, from) => {
+      this.audio.setEngine(state === "playing");
+      if (state === "crashed") this.audio.play("crash");
+      if (state === "playing" && from === "countdown") this.audio.play("go");
+    });
+  }
+
+  applySettings() {
+    this.view.setFov(this.settings.get("fov"));
+    this.view.setQuality(this.settings.get("quality"));
+    this.audio.applyVolumes();
+    this.touchControls.updateButtons();
+    for (const element of this.container.querySelectorAll("[data-hud]")) this.scaleHud(element);
+  }
+
+  // HUD elements keep their positioning transform in data-hud; the HUD scale is appended to it.
+  scaleHud(element) {
+    element.style.transform = `${element.dataset.hud} scale(${this.settings.get("hudScale")})`.trim();
+    return element;
+  }
+
+  openSettings(onClose) {
+    this.settingsPanel.open(onClose);
+  }
+
+  formatDistance(meters) {
+    if (this.settings.get("units") === "imperial") return `${Math.floor(meters * 3.28084)}ft`;
+    return `${Math.floor(meters)}m`;
+  }
+
+  handleLaneInput(direction) {
+    if (direction && this.inputEnabled) this.moveLane(direction);
+  }
+
+  // Gamepad and touch input arrive here as bindings ("pad:0", "gesture:tap").
+  // An open settings panel gets them first so they can be captured for rebinding.
+  handleBinding(binding) {
+    this.audio.unlock();
+    if (this.settingsPanel.isOpen()) {
+      if (!this.settingsPanel.captureBinding(binding) && (binding === "pad:1" || binding === "pad:9")) {
+        this.settingsPanel.close();
+      }
+      return;
+    }
+    if (this.state.is("menu")) {
+      if (MENU_KEY_ALIASES[binding]) this.menu.handleKey({ key: MENU_KEY_ALIASES[binding], preventDefault() {} });
+      return;
+    }
+    this.handleAction(this.inputMap.getAction(binding));
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case "left":
+      case "right":
+        this.handleLaneInput(action === "left" ? -1 : 1);
+        break;
+      case "jump":
+      case "duck":
+        if (this.inputEnabled) this.simulation.applyInput(action);
+        break;
+      case "pause":
+        this.togglePause();
+        break;
+      // Also the confirm action: it resumes a paused run rather than restarting it.
+      case "restart":
+        if (this.state.is("gameOver")) {
+          this.restartGame();
+        } else if (this.state.is("paused")) {
+          this.resumeGame();
+        }
+        break;
+    }
+  }
+
+  createSimulation(modeId, seed, settings = {}) {
+    const mode = this.getMode(modeId);
+    const difficulty = this.getDifficulty(settings.difficulty);
+    this.simulation = new Simulation({
+      ...mode.settings,
+      ...this.getDifficultySettings(difficulty),
+      mode: mode.id,
+      difficulty: difficulty.id,
+      seed,
+      CHUNKS: this.chunks,
+      INPUT_BUFFER_WINDOW: this.settings.get("inputBuffer"),
+      ...settings,
+    });
+    this.view.setSimulation(this.simulation);
+    return this.simulation;
+  }
+
+  // The menu backdrop: the car cruising past the track's scenery with the
+  // obstacles and coins left out.
+  createIdleSimulation() {
+    const scenery = (this.chunks || []).filter((chunk) => chunk.scenery.length);
+    return this.createSimulation(this.modeId, 0, {
+      CHUNKS: scenery.map((chunk) => ({ ...chunk, obstacles: [], coins: [] })),
+      START_SPEED: this.IDLE_SPEED,
+      SPEED_INCREASE_INTERVAL: Infinity,
+      COIN_SPAWN_INTERVAL: Infinity,
+      TIME_LIMIT: 0,
+    });
+  }
+
+  // Play stays disabled until the track has loaded; a missing or invalid
+  // file is reported on the menu instead. A game destroyed while the file
+  // was loading leaves it unused.
+  loadChunks(url = this.CHUNKS_URL) {
+    return Promise.resolve()
+      .then(() => fetch(url))
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((file) => {
+        this.chunks = parseChunks(file);
+      })
+      .catch((error) => {
+        this.chunkError = `Could not load the track (${url}: ${error.message})`;
+      })
+      .then(() => {
+        if (this.destroyed || !this.state.is("menu")) return;
+        this.createIdleSimulation().start();
+        this.menu.showPanel(this.menu.panel);
+      });
+  }
+
+  getMode(id = this.modeId) {
+    return MODES.find((mode) => mode.id === id) || MODES[0];
+  }
+
+  getDifficulty(id = this.difficultyOverride ?? this.settings.get("difficulty")) {
+    return (
+      DIFFICULTIES.find((difficulty) => difficulty.id === id) ||
+      DIFFICULTIES.find((difficulty) => difficulty.id === DEFAULT_SETTINGS.difficulty)
+    );
+  }
+
+  setDifficulty(id) {
+    this.difficultyOverride = null;
+    this.settings.set("difficulty", this.getDifficulty(id).id);
+  }
+
+  // Custom reads its speed ramp and spawn gaps from the settings and borrows a
+  // preset's obstacle mix. Top speed stays above the starting speed.
+  getDifficultySettings(difficulty = this.getDifficulty()) {
+    if (difficulty.id !== "custom") return difficulty.settings;
+    const settings = { OBSTACLE_MIX: this.getDifficulty(this.settings.get("customMix")).settings.OBSTACLE_MIX || {} };
+    for (const field of CUSTOM_DIFFICULTY_FIELDS) settings[field.key] = this.settings.get(field.setting);
+    settings.MAX_SPEED = Math.max(settings.MAX_SPEED, settings.START_SPEED + 1);
+    return settings;
+  }
+
+  setMode(id) {
+    this.modeId = this.getMode(id).id;
+    localStorage.setItem("gameMode", this.modeId);
+  }
+
+  setCarColor(color) {
+    this.carColor = color;
+    this.view.setCarColor(color);
+    localStorage.setItem("carColor", String(color));
+  }
+
+  startGame() {
+    if (this.chunks) this.state.transition("countdown", { reset: true });
+  }
+
+  returnToMenu() {
+    if (this.state.can("menu")) this.state.transition("menu");
+  }
+
+  updateHudVisibility(state) {
+    this.setCountdownVisible(state === "countdown");
+    this.setPauseOverlayVisible(state === "paused");
+    const screen = document.getElementById("gameOverScreen");
+    if (screen) screen.style.display = state === "gameOver" ? "block" : "none";
+    const counter = document.getElementById("distanceCounter");
+    if (counter) counter.style.display = state === "menu" ? "none" : "block";
+    const powerups = document.getElementById("powerupHud");
+    if (powerups) powerups.style.display = state === "menu" ? "none" : "flex";
+  }
+
+  // Every listener shares one AbortSignal so destroy() can remove them all at once.
+  setupEventListeners() {
+    const options = { signal: this.abortController.signal };
+    document.addEventListener("keydown", (event) => {
+      this.audio.unlock();
+      if (this.settingsPanel.isOpen()) {
+        if (this.settingsPanel.captureBinding(InputMap.keyBinding(event.key))) {
+          event.preventDefault();
+        } else if (event.key === "Escape") {
+          this.settingsPanel.close();
+        }
+        return;
+      }
+      if (this.state.is("menu")) {
+        this.menu.handleKey(event);
+        return;
+      }
+      // Enter and Space on a focused button click it rather than triggering an action.
+      if ((event.key === "Enter" || event.key === " ") && event.target.closest?.("button")) return;
+      this.handleAction(this.inputMap.getAction(InputMap.keyBinding(event.key)));
+    }, options);
+    window.addEventListener("resize", () => {
+      this.view.resize(window.innerWidth, window.innerHeight);
+    }, options);
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden && this.settings.get("autoPause") === "on") this.pauseGame();
+    }, options);
+    window.addEventListener("blur", () => {
+      if (this.settings.get("autoPause") === "on") this.pauseGame();
+    }, options);
+    window.addEventListener("pointerdown", () => this.audio.unlock(), options);
+  }
+
+  // Adds a HUD element to the container and remembers it for destroy().
+  mount(element) {
+    this.elements.push(element);
+    this.container.appendChild(element);
+    return element;
+  }
+
+  // Stops the game and removes everything it added to the page, so the host can mount a new one.
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    cancelAnimationFrame(this.animationFrame);
+    this.abortController.abort();
+    this.replayPlayer?.destroy();
+    this.replayPlayer = null;
+    this.audio.dispose();
+    this.gamepad.dispose();
+    for (const element of this.elements) element.remove();
+    this.elements.length = 0;
+    this.view.dispose();
+  }
+
+  moveLane(direction) {
+    return this.simulation.applyInput(direction < 0 ? "left" : "right");
+  }
+
+  nextSeed() {
+    return this.seedParam ? hashSeed(this.seedParam) : (Math.random() * 4294967296) >>> 0;
+  }
+
+  createGameOverScreen() {
+    const screen = document.createElement("div");
+    screen.id = "gameOverScreen";
+    screen.dataset.hud = "translate(-50%, -50%)";
+    screen.style.display = "none";
+    screen.style.position = "fixed";
+    screen.style.top = "50%";
+    screen.style.left = "50%";
+    screen.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+    screen.style.color = "white";
+    screen.style.padding = "20px";
+    screen.style.borderRadius = "10px";
+    screen.style.textAlign = "center";
+    screen.style.zIndex = "1000";
+
+    const title = document.createElement("h2");
+    title.id = "gameOverTitle";
+    title.textContent = "Game Over!";
+    title.style.marginBottom = "10px";
+
+    const reason = document.createElement("p");
+    reason.id = "gameOverReason";
+    reason.style.marginBottom = "20px";
+    reason.style.fontSize = "20px";
+    reason.style.color = "#FFC107";
+
+    const finalScore = document.createElement("p");
+    finalScore.id = "finalScore";
+    finalScore.style.marginBottom = "20px";
+
+    const restartButton = document.createElement("button");
+    restartButton.textContent = "Restart Game";
+    restartButton.style.padding = "10px 20px";
+    restartButton.style.fontSize = "16px";
+    restartButton.style.cursor = "pointer";
+    restartButton.style.backgroundColor = "#4CAF50";
+    restartButton.style.border = "none";
+    restartButton.style.color = "white";
+    restartButton.style.borderRadius = "5px";
+    restartButton.onclick = () => this.restartGame();
+
+    screen.appendChild(title);
+    screen.appendChild(reason);
+    screen.appendChild(finalScore);
+    screen.appendChild(restartButton);
+    screen.appendChild(createButton("Main Menu", () => this.returnToMenu(), "#555"));
+    this.mount(screen);
+    // Taps on the screen's background restart; taps on its buttons keep their own meaning.
+    screen.addEventListener("touchend", (event) => {
+      if (event.target !== screen) return;
+      event.preventDefault();
+      this.handleBinding("gesture:tap");
+    }, { signal: this.abortController.signal });
+
+    const tapHint = document.createElement("p");
+    tapHint.id = "tapToRestart";
+    tapHint.textContent = "Tap anywhere to restart";
+    tapHint.style.opacity = "0.7";
+    tapHint.style.display = this.touchControls.hasTouch() ? "block" : "none";
+    screen.appendChild(tapHint);
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.style.display = "none";
+    fileInput.onchange = () => {
+      if (fileInput.files[0]) this.importReplay(fileInput.files[0]);
+      fileInput.value = "";
+    };
+
+    const replayButtons = document.createElement("div");
+    replayButtons.style.marginTop = "10px";
+    replayButtons.appendChild(createButton("Watch Replay", () => this.lastReplay && this.startReplay(this.lastReplay), "#2196F3"));
+    replayButtons.appendChild(createButton("Export Replay", () => this.lastReplay && this.exportReplay(this.lastReplay), "#2196F3"));
+    replayButtons.appendChild(createButton("Import Replay", () => fileInput.click(), "#2196F3"));
+    replayButtons.appendChild(fileInput);
+
+    const replayStatus = document.createElement("p");
+    replayStatus.id = "replayStatus";
+    replayStatus.style.marginTop = "10px";
+    replayStatus.style.color = "#f44336";
+
+    screen.appendChild(replayButtons);
+    screen.appendChild(replayStatus);
+  }
+
+  showGameOver() {
+    this.lastReplay = { ...this.simulation.getReplay(), timestep: this.FIXED_TIMESTEP };
+    this.updateHighScores();
+    this.recordRun();
+    const title = document.getElementById("gameOverTitle");
+    if (title) title.textContent = this.simulation.endReason === "timeUp" ? "Time's Up!" : "Game Over!";
+    const reason = document.getElementById("gameOverReason");
+    if (reason) {
+      reason.textContent = this.getEndReasonText(this.simulation.endReason);
+      reason.style.display = reason.textContent ? "block" : "none";
+    }
+    const finalScore = document.getElementById("finalScore");
+    if (!finalScore) return;
+    finalScore.innerHTML = `
+                Score: ${this.scoreRun().total}<br>
+                Distance: ${this.formatDistance(this.simulation.totalDistance)}<br>
+                Coins Collected: ${this.simulation.coinCount}<br>
+                Near Misses: ${this.simulation.nearMisses} (combo bonus +${this.simulation.comboBonus})<br>
+                Power-ups: ${this.simulation.powerupsCollected}<br>
+                Best Score: ${this.getHighScore().score}<br>
+                Best Distance: ${this.formatDistance(this.getHighScore().distance)}<br>
+                Most Coins: ${this.getHighScore().coins}<br>
+                Mode: ${this.getMode(this.simulation.mode).name}<br>
+                Difficulty: ${this.getDifficulty(this.simulation.difficulty).name}<br>
+                Seed: ${this.simulation.seed}
+            `;
+  }
+
+  // Why the run ended, for the game-over screen; a run that timed out says so in its title.
+  getEndReasonText(endReason) {
+    switch (endReason) {
+      case "crash":
+        return "Crashed";
+      case "battery":
+        return "Out of charge";
+    }
+    return "";
+  }
+
+  setReplayStatus(message) {
+    const status = document.getElementById("replayStatus");
+    if (status) status.textContent = message;
+  }
+
+  startReplay(replay) {
+    if (replay.track !== hashSeed(JSON.stringify(this.chunks))) {
+      this.setReplayStatus("This replay was recorded with different track chunks.");
+      return;
+    }
+    this.state.transition("replay", { replay });
+  }
+
+  // Leaving a replay returns to the game-over screen it was started from.
+  stopReplay() {
+    if (this.state.is("replay")) this.state.transition("gameOver");
+  }
+
+  exportReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `tesla-runner-replay-${replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  importReplay(file) {
+    file
+      .text()
+      .then((text) => {
+        const replay = parseReplay(text);
+        if (replay.timestep !== this.FIXED_TIMESTEP) throw new Error("Replay was recorded with a different timestep");
+        this.startReplay(replay);
+      })
+      .catch((error) => this.setReplayStatus(error.message));
+  }
+
+  restartGame() {
+    this.state.transition("countdown", { reset: true });
+    this.updateDistanceCounter();
+  }
+
+  createDistanceCounter() {
+    const counter = document.createElement("div");
+    counter.id = "distanceCounter";
+    counter.dataset.hud = "";
+    counter.style.position = "fixed";
+    counter.style.transformOrigin = "top left";
+    counter.style.top = "20px";
+    counter.style.left = "20px";
+    counter.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+    counter.style.color = "white";
+    counter.style.padding = "10px 20px";
+    counter.style.borderRadius = "5px";
+    counter.style.fontFamily = "Arial, sans-serif";
+    counter.style.fontSize = "18px";
+    counter.style.zIndex = "1000";
+
+    const stats = document.createElement("div");
+    stats.id = "distanceStats";
+
+    const health = document.createElement("div");
+    health.id = "healthBar";
+    health.style.display = "flex";
+    health.style.gap = "4px";
+    health.style.marginTop = "6px";
+
+    const gauge = document.createElement("div");
+    gauge.id = "batteryGauge";
+    gauge.style.display = "flex";
+    gauge.style.alignItems = "center";
+    gauge.style.gap = "8px";
+    gauge.style.marginTop = "6px";
+    const icon = document.createElement("span");
+    icon.textContent = "🔋";
+    const outline = document.createElement("div");
+    outline.style.width = "120px";
+    outline.style.height = "14px";
+    outline.style.border = "2px solid white";
+    outline.style.borderRadius = "3px";
+    outline.style.padding = "1px";
+    const fill = document.createElement("div");
+    fill.id = "batteryFill";
+    fill.style.height = "100%";
+    fill.style.borderRadius = "1px";
+    const text = document.createElement("span");
+    text.id = "batteryText";
+    text.style.fontSize = "14px";
+    text.style.minWidth = "40px";
+    outline.appendChild(fill);
+    gauge.append(icon, outline, text);
+
+    counter.append(stats, health, gauge);
+    this.mount(counter);
+  }
+
+  // One row per power-up type: its icon, name and a bar showing the time left.
+  createPowerupHud() {
+    const hud = document.createElement("div");
+    hud.id = "powerupHud";
+    hud.dataset.hud = "";
+    hud.style.position = "fixed";
+    hud.style.transformOrigin = "top right";
+    hud.style.top = "20px";
+    hud.style.right = "20px";
+    hud.style.display = "flex";
+    hud.style.flexDirection = "column";
+    hud.style.gap = "6px";
+    hud.style.color = "white";
+    hud.style.fontFamily = "Arial, sans-serif";
+    hud.style.zIndex = "1000";
+    this.powerupRows = new Map();
+    for (const type of POWERUP_TYPES) {
+      const row = document.createElement("div");
+      row.style.display = "none";
+      row.style.alignItems = "center";
+      row.style.gap = "8px";
+      row.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+      row.style.padding = "6px 10px";
+      row.style.borderRadius = "5px";
+      const icon = document.createElement("span");
+      icon.textContent = type.icon;
+      icon.style.fontSize = "22px";
+      icon.style.width = "28px";
+      icon.style.textAlign = "center";
+      const label = document.createElement("div");
+      label.textContent = type.name;
+      label.style.fontSize = "14px";
+      const track = document.createElement("div");
+      track.style.width = "110px";
+      track.style.height = "6px";
+      track.style.marginTop = "4px";
+      track.style.borderRadius = "3px";
+      track.style.backgroundColor = "rgba(255, 255, 255, 0.2)";
+      const bar = document.createElement("div");
+      bar.style.height = "100%";
+      bar.style.borderRadius = "3px";
+      bar.style.backgroundColor = `#${type.color.toString(16).padStart(6, "0")}`;
+      track.appendChild(bar);
+      label.appendChild(track);
+      row.append(icon, label);
+      hud.appendChild(row);
+      this.powerupRows.set(type.id, { row, bar });
+    }
+    this.mount(hud);
+  }
+
+  // Rows blink during an effect's last two seconds.
+  updatePowerupHud() {
+    const simulation = this.simulation;
+    for (const [id, { row, bar }] of this.powerupRows) {
+      const remaining = simulation.effects[id] || 0;
+      row.style.display = remaining > 0 ? "flex" : "none";
+      if (remaining <= 0) continue;
+      bar.style.width = `${(100 * remaining) / simulation.getPowerupType(id).duration}%`;
+      row.style.opacity = remaining < 2000 && Math.floor(remaining / 250) % 2 ? "0.5" : "1";
+    }
+  }
+
+  createAutopilotBanner() {
+    const banner = document.createElement("div");
+    banner.id = "autopilotBanner";
+    banner.textContent = "AUTOPILOT";
+    banner.dataset.hud = "translateX(-50%)";
+    banner.style.display = "none";
+    banner.style.position = "fixed";
+    banner.style.transformOrigin = "top center";
+    banner.style.top = "20px";
+    banner.style.left = "50%";
+    banner.style.backgroundColor = "rgba(26, 188, 156, 0.85)";
+    banner.style.color = "white";
+    banner.style.padding = "8px 24px";
+    banner.style.borderRadius = "5px";
+    banner.style.fontFamily = "Arial, sans-serif";
+    banner.style.fontSize = "20px";
+    banner.style.fontWeight = "bold";
+    banner.style.letterSpacing = "3px";
+    banner.style.zIndex = "1000";
+    this.mount(banner);
+  }
+
+  // Counts down and flashes once the autopilot is about to hand control back.
+  updateAutopilotBanner() {
+    const banner = document.getElementById("autopilotBanner");
+    if (!banner) return;
+    const simulation = this.simulation;
+    const remaining = simulation.effects.autopilot || 0;
+    const isActive = remaining > 0 && !simulation.gameOver;
+    banner.style.display = isActive ? "block" : "none";
+    if (!isActive) return;
+    if (remaining <= simulation.AUTOPILOT_WARNING) {
+      banner.textContent = `TAKE OVER IN ${Math.ceil(remaining / 1000)}`;
+      banner.style.backgroundColor = Math.floor(remaining / 250) % 2 ? "rgba(230, 126, 34, 0.85)" : "rgba(231, 76, 60, 0.85)";
+    } else {
+      banner.textContent = "AUTOPILOT";
+      banner.style.backgroundColor = "rgba(26, 188, 156, 0.85)";
+    }
+  }
+
+  createComboDisplay() {
+    const display = document.createElement("div");
+    display.id = "comboDisplay";
+    display.style.display = "none";
+    display.style.position = "fixed";
+    display.style.transformOrigin = "top center";
+    display.style.top = "70px";
+    display.style.left = "50%";
+    display.style.textAlign = "center";
+    display.style.color = "white";
+    display.style.fontFamily = "Arial, sans-serif";
+    display.style.textShadow = "0 2px 4px rgba(0, 0, 0, 0.8)";
+    display.style.pointerEvents = "none";
+    display.style.zIndex = "1000";
+
+    const multiplier = document.createElement("div");
+    multiplier.id = "comboMultiplier";
+    multiplier.style.fontSize = "32px";
+    multiplier.style.fontWeight = "bold";
+    multiplier.style.color = "#FFC107";
+
+    const track = document.createElement("div");
+    track.style.width = "100px";
+    track.style.height = "4px";
+    track.style.margin = "4px auto";
+    track.style.backgroundColor = "rgba(255, 255, 255, 0.25)";
+    const timer = document.createElement("div");
+    timer.id = "comboTimer";
+    timer.style.height = "100%";
+    timer.style.backgroundColor = "#FFC107";
+    track.appendChild(timer);
+
+    const message = document.createElement("div");
+    message.id = "comboMessage";
+    message.style.fontSize = "18px";
+    message.style.fontWeight = "bold";
+
+    display.append(multiplier, track, message);
+    this.mount(display);
+    this.comboFx = null;
+  }
+
+  // The multiplier shows while it is above ×1, with a bar for the time left
+  // before it decays. Near misses and combo steps pop the readout and float a
+  // message up for COMBO_FX_DURATION ms.
+  updateComboDisplay() {
+    const display = document.getElementById("comboDisplay");
+    if (!display) return;
+    const simulation = this.simulation;
+    const multiplier = simulation.getComboMultiplier();
+    const age = this.comboFx ? simulation.simulationTime - this.comboFx.time : -1;
+    const showFx = age >= 0 && age < this.COMBO_FX_DURATION;
+    const isVisible = (multiplier > 1 || showFx) && !simulation.gameOver;
+    display.style.display = isVisible ? "block" : "none";
+    if (!isVisible) return;
+
+    document.getElementById("comboMultiplier").textContent = multiplier > 1 ? `×${multiplier} COMBO` : "";
+    const timer = document.getElementById("comboTimer");
+    timer.style.width = `${(100 * simulation.comboTimer) / simulation.COMBO_WINDOW}%`;
+    timer.parentElement.style.visibility = multiplier > 1 ? "visible" : "hidden";
+    const message = document.getElementById("comboMessage");
+    message.textContent = showFx ? this.comboFx.text : "";
+    message.style.opacity = showFx ? String(1 - age / this.COMBO_FX_DURATION) : "0";
+    message.style.transform = `translateY(${showFx ? -age / 40 : 0}px)`;
+    const pop = showFx ? 1 + 0.4 * Math.max(0, 1 - age / 200) : 1;
+    display.style.transform = `translateX(-50%) scale(${pop * this.settings.get("hudScale")})`;
+  }
+
+  updateDistanceCounter() {
+    const counter = document.getElementById("distanceStats");
+    if (!counter) return;
+    counter.innerHTML = `
+                Score: ${this.scoreRun().total}<br>
+                Distance: ${this.formatDistance(this.simulation.totalDistance)}<br>
+                Coins: ${this.simulation.coinCount}<br>
+                Best Score: ${this.getHighScore().score}
+            `;
+    if (this.simulation.TIME_LIMIT > 0) {
+      counter.innerHTML += `<br>Time: ${Math.ceil(this.simulation.getTimeRemaining() / 1000)}s`;
+    }
+    if (this.debug) counter.innerHTML += this.getDebugInfo();
+  }
+
+  // One segment per point of MAX_HEALTH; the bar blinks with the car while it is invulnerable.
+  updateHealthBar() {
+    const bar = document.getElementById("healthBar");
+    if (!bar) return;
+    const simulation = this.simulation;
+    while (bar.children.length < simulation.MAX_HEALTH) {
+      const segment = document.createElement("div");
+      segment.style.width = "22px";
+      segment.style.height = "10px";
+      segment.style.borderRadius = "2px";
+      segment.style.border = "1px solid white";
+      bar.appendChild(segment);
+    }
+    while (bar.children.length > simulation.MAX_HEALTH) bar.lastChild.remove();
+    [...bar.children].forEach((segment, i) => {
+      segment.style.backgroundColor = i < simulation.health ? "#f44336" : "transparent";
+    });
+    bar.style.opacity = simulation.invulnerable > 0 && Math.floor(simulation.invulnerable / 100) % 2 ? "0.4" : "1";
+  }
+
+  // Green, then amber below half, then red; it blinks once the battery is low.
+  updateBatteryGauge() {
+    const gauge = document.getElementById("batteryGauge");
+    const fill = document.getElementById("batteryFill");
+    const text = document.getElementById("batteryText");
+    if (!gauge || !fill || !text) return;
+    const simulation = this.simulation;
+    const level = simulation.BATTERY_CAPACITY > 0 ? simulation.battery / simulation.BATTERY_CAPACITY : 0;
+    gauge.style.display = simulation.BATTERY_CAPACITY > 0 ? "flex" : "none";
+    fill.style.width = `${level * 100}%`;
+    if (level > 0.5) {
+      fill.style.backgroundColor = "#4CAF50";
+    } else if (level > 0.2) {
+      fill.style.backgroundColor = "#FFC107";
+    } else {
+      fill.style.backgroundColor = "#f44336";
+    }
+    fill.style.opacity = simulation.batteryLow && Math.floor(simulation.simulationTime / 300) % 2 ? "0.4" : "1";
+    text.textContent = `${Math.ceil(level * 100)}%`;
+  }
+
+  // Shown with ?debug: pool usage and three.js GPU resource counts, to spot leaks in long sessions.
+  getDebugInfo() {
+    const pools = this.view.getPoolStats();
+    const memory = this.view.renderer.info.memory;
+    let info = "";
+    for (const type in pools) {
+      info += `<br>${type} pool: ${pools[type].active} active / ${pools[type].free} free / ${pools[type].created} created`;
+    }
+    return info + `<br>GPU: ${memory.geometries} geometries, ${memory.textures} textures`;
+  }
+
+  createCountdown() {
+    const countdown = document.createElement("div");
+    countdown.id = "countdown";
+    countdown.dataset.hud = "translate(-50%, -50%)";
+    countdown.style.position = "fixed";
+    countdown.style.top = "50%";
+    countdown.style.left = "50%";
+    countdown.style.color = "white";
+    countdown.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+    countdown.style.padding = "20px 40px";
+    countdown.style.borderRadius = "10px";
+    countdown.style.fontSize = "48px";
+    countdown.style.fontFamily = "Arial, sans-serif";
+    countdown.style.zIndex = "1000";
+    this.mount(countdown);
+  }
+
+  updateCountdown(dt) {
+    this.countdownRemaining -= dt * 1000;
+    if (this.countdownRemaining <= 0) {
+      this.state.transition("playing");
+      return;
+    }
+    const countdown = document.getElementById("countdown");
+    const seconds = Math.ceil(this.countdownRemaining / 1000).toString();
+    if (countdown && countdown.textContent !== seconds) {
+      countdown.textContent = seconds;
+      this.audio.play("countdown");
+    }
+  }
+
+  setCountdownVisible(visible) {
+    const countdown = document.getElementById("countdown");
+    if (countdown) countdown.style.display = visible ? "block" : "none";
+  }
+
+  createPauseOverlay() {
+    const overlay = document.createElement("div");
+    overlay.id = "pauseOverlay";
+    overlay.dataset.hud = "translate(-50%, -50%)";
+    overlay.style.display = "none";
+    overlay.style.position = "fixed";
+    overlay.style.top = "50%";
+    overlay.style.left = "50%";
+    overlay.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+    overlay.style.color = "white";
+    overlay.style.padding = "20px";
+    overlay.style.borderRadius = "10px";
+    overlay.style.textAlign = "center";
+    overlay.style.fontFamily = "Arial, sans-serif";
+    overlay.style.zIndex = "1001";
+
+    const title = document.createElement("h2");
+    title.textContent = "Paused";
+    title.style.marginBottom = "20px";
+    overlay.appendChild(title);
+    overlay.appendChild(createButton("Resume", () => this.resumeGame()));
+    overlay.appendChild(createButton("Settings", () => this.openSettings(), "#2196F3"));
+    overlay.appendChild(createButton("Restart", () => this.restartGame(), "#f44336"));
+    overlay.appendChild(createButton("Main Menu", () => this.returnToMenu(), "#555"));
+    this.mount(overlay);
+  }
+
+  setPauseOverlayVisible(visible) {
+    const overlay = document.getElementById("pauseOverlay");
+    if (overlay) overlay.style.display = visible ? "block" : "none";
+  }
+
+  pauseGame() {
+    if (this.state.is("countdown", "playing")) this.state.transition("paused");
+  }
+
+  // The frame clock restarts on resume, so the time spent paused never reaches the simulation.
+  resumeGame() {
+    if (!this.state.is("paused")) return;
+    this.lastFrameTime = null;
+    this.state.transition(this.state.previous);
+  }
+
+  togglePause() {
+    if (this.state.is("paused")) {
+      this.resumeGame();
+    } else {
+      this.pauseGame();
+    }
+  }
+
+  // Scores `simulation`'s run with its mode's formula.
+  scoreRun(simulation = this.simulation) {
+    return computeScore(simulation.getStats(), this.getMode(simulation.mode).scoring);
+  }
+
+  // Modes score runs differently, so bests are kept per mode and difficulty.
+  // Bests saved before that were a single { distance, coins } record.
+  loadHighScores() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem("highScores")) || {};
+    } catch {
+      saved = {};
+    }
+    if (typeof saved.distance === "number") {
+      this.highScores[this.getScoreKey(MODES[0].id, DEFAULT_SETTINGS.difficulty)] = { score: 0, ...saved };
+    } else {
+      this.highScores = saved;
+    }
+  }
+
+  getScoreKey(mode = this.simulation.mode, difficulty = this.simulation.difficulty) {
+    return `${mode}:${difficulty}`;
+  }
+
+  getHighScore(mode, difficulty) {
+    return (this.highScores[this.getScoreKey(mode, difficulty)] ??= { score: 0, distance: 0, coins: 0 });
+  }
+
+  updateHighScores() {
+    const best = this.getHighScore();
+    const score = this.scoreRun().total;
+    const distance = Math.floor(this.simulation.totalDistance);
+    if (score > best.score) best.score = score;
+    if (distance > best.distance) best.distance = distance;
+    if (this.simulation.coinCount > best.coins) best.coins = this.simulation.coinCount;
+    localStorage.setItem("highScores", JSON.stringify(this.highScores));
+  }
+
+  // Runs for one mode and difficulty, or all of them when those are left out.
+  // Older entries are scored on load and count as Endless runs on Normal.
+  getLeaderboard(modeId, difficulty) {
+    try {
+      return (JSON.parse(localStorage.getItem("leaderboard")) || [])
+        .map((run) => {
+          const mode = this.getMode(run.mode || MODES[0].id);
+          return {
+            ...run,
+            mode: mode.id,
+            difficulty: run.difficulty || DEFAULT_SETTINGS.difficulty,
+            score: run.score ?? computeScore(run, mode.scoring).total,
+          };
+        })
+        .filter((run) => (modeId === undefined || run.mode === modeId) && (difficulty === undefined || run.difficulty === difficulty));
+    } catch {
+      return [];
+    }
+  }
+
+  // Keeps the ten best runs for each mode and difficulty.
+  recordRun() {
+    const runs = this.getLeaderboard();
+    runs.push({
+      ...this.simulation.getStats(),
+      score: this.scoreRun().total,
+      mode: this.simulation.mode,
+      difficulty: this.simulation.difficulty,
+      seed: this.simulation.seed,
+      date: Date.now(),
+    });
+    runs.sort((a, b) => b.score - a.score || b.distance - a.distance);
+    const counts = {};
+    const kept = runs.filter((run) => {
+      const key = this.getScoreKey(run.mode, run.difficulty);
+      counts[key] = (counts[key] || 0) + 1;
+      return counts[key] <= 10;
+    });
+    localStorage.setItem("leaderboard", JSON.stringify(kept));
+  }
+
+  // Replays stay silent unless replaySfx is on, and never rumble the pad.
+  handleSimulationEvents() {
+    const isReplay = this.state.is("replay");
+    const playSound = (name) => {
+      if (!isReplay || this.settings.get("replaySfx") === "on") this.audio.play(name);
+    };
+    const rumble = (...effect) => {
+      if (!isReplay) this.gamepad.rumble(...effect);
+    };
+    for (const event of this.simulation.events.splice(0)) {
+      if (event.type === "lane" || event.type === "jump") playSound(event.type);
+      if (event.type === "coin") {
+        playSound("coin");
+        rumble(60, 0, 0.4);
+      }
+      if (event.type === "powerup") playSound("powerup");
+      if (event.type === "shieldHit") {
+        playSound("shield");
+        rumble(200, 0.6, 0.3);
+      }
+      if (event.type === "pickup") playSound(event.pickup);
+      if (event.type === "nearMiss") {
+        playSound("nearMiss");
+        this.comboFx = { time: this.simulation.simulationTime, text: `NEAR MISS +${event.points}` };
+      }
+      if (event.type === "combo") this.comboFx = { time: this.simulation.simulationTime, text: "COMBO UP!" };
+      if (event.type === "hit") {
+        playSound("hit");
+        rumble(300, 0.8, 0.5);
+      }
+      if (event.type === "batteryLow") playSound("batteryLow");
+      if (event.type === "autopilotWarning") {
+        playSound("autopilotWarning");
+        rumble(150, 0.3, 0.3);
+      }
+      if (event.type === "crash") rumble(400, 1, 0.6);
+      if (!this.state.is("playing")) continue;
+      if (event.type === "crash") this.state.transition("crashed");
+      if (event.type === "timeUp" || event.type === "batteryEmpty") this.state.transition("gameOver");
+    }
+  }
+
+  animate(time = performance.now()) {
+    if (this.destroyed) return;
+    this.animationFrame = requestAnimationFrame((nextTime) => this.animate(nextTime));
+    const frameTime = this.lastFrameTime === null ? 0 : Math.min((time - this.lastFrameTime) / 1000, this.MAX_FRAME_TIME);
+    this.lastFrameTime = time;
+    this.gamepad.poll();
+    this.state.update(frameTime);
+    this.handleSimulationEvents();
+    this.updateDistanceCounter();
+    this.updateHealthBar();
+    this.updateBatteryGauge();
+    this.updatePowerupHud();
+    this.updateAutopilotBanner();
+    this.updateComboDisplay();
+    this.view.render(this.renderAlpha);
+  }
+
+  // Steps the live simulation on the fixed timestep.
+  update(frameTime) {
+    this.accumulator += frameTime;
+    while (this.accumulator >= this.FIXED_TIMESTEP) {
+      this.simulation.step(this.FIXED_TIMESTEP);
+      this.accumulator -= this.FIXED_TIMESTEP;
+    }
+    this.renderAlpha = this.accumulator / this.FIXED_TIMESTEP;
+  }
+}
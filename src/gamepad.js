@@ -0,0 +1,87 @@
+// Left stick directions by axis, reported as "pad:stickLeft" and so on.
+const STICK_DIRECTIONS = [
+  ["stickLeft", "stickRight"],
+  ["stickUp", "stickDown"],
+];
+
+// Polls navigator.getGamepads() once per frame. Inputs are edge-triggered:
+// holding the stick or a button fires once, on the frame it is first pressed.
+export class GamepadInput {
+  constructor(game) {
+    this.game = game;
+    this.DEADZONE = 0.5;
+    this.pads = new Map();
+    this.toastTimer = null;
+    this.createToast();
+
+    const options = { signal: game.abortController.signal };
+    window.addEventListener("gamepadconnected", (event) => this.showToast(`Controller connected: ${event.gamepad.id}`), options);
+    window.addEventListener("gamepaddisconnected", (event) => {
+      this.pads.delete(event.gamepad.index);
+      this.showToast("Controller disconnected");
+    }, options);
+  }
+
+  createToast() {
+    const toast = document.createElement("div");
+    toast.id = "toast";
+    toast.dataset.hud = "translateX(-50%)";
+    toast.style.position = "fixed";
+    toast.style.bottom = "20px";
+    toast.style.left = "50%";
+    toast.style.transformOrigin = "bottom center";
+    toast.style.padding = "10px 20px";
+    toast.style.borderRadius = "5px";
+    toast.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+    toast.style.color = "white";
+    toast.style.fontFamily = "Arial, sans-serif";
+    toast.style.display = "none";
+    toast.style.zIndex = "1004";
+    this.toast = this.game.mount(toast);
+  }
+
+  showToast(message, duration = 2500) {
+    this.toast.textContent = message;
+    this.toast.style.display = "block";
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => {
+      this.toast.style.display = "none";
+    }, duration);
+  }
+
+  // The left stick as [x, y], each -1, 0 or 1 after the deadzone.
+  getAxes(pad) {
+    return [0, 1].map((index) => {
+      const value = pad.axes[index] || 0;
+      return Math.abs(value) < this.DEADZONE ? 0 : Math.sign(value);
+    });
+  }
+
+  poll() {
+    if (!navigator.getGamepads) return;
+    for (const pad of navigator.getGamepads()) {
+      if (!pad || !pad.connected) continue;
+      const previous = this.pads.get(pad.index) || { axes: [0, 0], buttons: [] };
+      const axes = this.getAxes(pad);
+      const buttons = pad.buttons.map((button) => button.pressed);
+      this.pads.set(pad.index, { axes, buttons });
+      axes.forEach((value, index) => {
+        if (value && value !== previous.axes[index]) this.game.handleBinding(`pad:${STICK_DIRECTIONS[index][value < 0 ? 0 : 1]}`);
+      });
+      buttons.forEach((isPressed, index) => {
+        if (isPressed && !previous.buttons[index]) this.game.handleBinding(`pad:${index}`);
+      });
+    }
+  }
+
+  rumble(duration, strongMagnitude, weakMagnitude) {
+    if (!navigator.getGamepads) return;
+    for (const pad of navigator.getGamepads()) {
+      pad?.vibrationActuator?.playEffect?.("dual-rumble", { duration, strongMagnitude, weakMagnitude }).catch(() => {});
+    }
+  }
+
+  dispose() {
+    clearTimeout(this.toastTimer);
+  }
+}
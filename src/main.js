@@ -0,0 +1,6 @@
+import { Game } from "./game.js";
+
+// Pages that mount the game themselves set data-no-autostart on <body> and use the export.
+if (!document.body.hasAttribute("data-no-autostart")) new Game();
+
+export { Game as TeslaRunner };
@@ -0,0 +1,215 @@
+import { createButton } from "./button.js";
+import { DIFFICULTIES } from "./sim/difficulty.js";
+import { MODES } from "./sim/modes.js";
+import { CAR_COLORS } from "./view.js";
+
+// The title screen. Its panels are rebuilt on every visit and share one
+// keyboard focus list, so arrows and Enter work the same as the mouse.
+export class MainMenu {
+  constructor(game) {
+    this.game = game;
+    this.focusables = [];
+    this.focusIndex = 0;
+    this.panel = null;
+
+    this.element = document.createElement("div");
+    this.element.id = "mainMenu";
+    this.element.style.position = "fixed";
+    this.element.style.inset = "0";
+    this.element.style.display = "none";
+    this.element.style.flexDirection = "column";
+    this.element.style.alignItems = "center";
+    this.element.style.justifyContent = "center";
+    this.element.style.background = "linear-gradient(rgba(0, 0, 0, 0.75), rgba(0, 0, 0, 0.2))";
+    this.element.style.color = "white";
+    this.element.style.fontFamily = "Arial, sans-serif";
+    this.element.style.zIndex = "1002";
+
+    const title = document.createElement("h1");
+    title.textContent = "TESLA RUNNER";
+    title.style.fontSize = "56px";
+    title.style.letterSpacing = "8px";
+    title.style.margin = "0 0 10px";
+
+    this.subtitle = document.createElement("p");
+    this.subtitle.style.margin = "0 0 20px";
+
+    this.content = document.createElement("div");
+    this.content.style.display = "flex";
+    this.content.style.flexDirection = "column";
+    this.content.style.alignItems = "center";
+    this.content.style.minWidth = "320px";
+
+    const hint = document.createElement("p");
+    hint.textContent = "↑ ↓ to choose, Enter to select, Esc to go back";
+    hint.style.opacity = "0.7";
+    hint.style.marginTop = "20px";
+
+    this.element.appendChild(title);
+    this.element.appendChild(this.subtitle);
+    this.element.appendChild(this.content);
+    this.element.appendChild(hint);
+    game.mount(this.element);
+  }
+
+  getItems() {
+    return [
+      { label: this.getPlayLabel(), action: () => this.game.startGame(), disabled: !this.game.chunks },
+      { label: "Modes", action: () => this.showPanel("modes") },
+      { label: "Difficulty", action: () => this.showPanel("difficulty") },
+      { label: "Garage", action: () => this.showPanel("garage") },
+      { label: "Leaderboard", action: () => this.showPanel("leaderboard") },
+      { label: "Settings", action: () => this.game.openSettings(() => this.focus(this.focusIndex)) },
+      { label: "Credits", action: () => this.showPanel("credits") },
+    ];
+  }
+
+  getPlayLabel() {
+    if (this.game.chunks) return "Play";
+    return this.game.chunkError ? "Track unavailable" : "Loading track…";
+  }
+
+  show() {
+    this.element.style.display = "flex";
+    this.showPanel(null);
+  }
+
+  hide() {
+    this.element.style.display = "none";
+  }
+
+  createItem(label, action, color = "#333") {
+    const item = createButton(label, action, color);
+    item.style.width = "260px";
+    item.style.transition = "transform 0.1s";
+    item.onmouseenter = () => this.focus(this.focusables.indexOf(item));
+    this.focusables.push(item);
+    return item;
+  }
+
+  createDescription(text) {
+    const description = document.createElement("small");
+    description.textContent = text;
+    description.style.opacity = "0.8";
+    return description;
+  }
+
+  // Shows a sub-panel by name, or the main list when `panel` is null.
+  showPanel(panel) {
+    this.panel = panel;
+    this.focusables = [];
+    this.content.textContent = "";
+    this.subtitle.textContent = this.game.chunkError || `Mode: ${this.game.getMode().name} · Difficulty: ${this.game.getDifficulty().name}`;
+    const add = (element) => this.content.appendChild(element);
+    const check = (selected) => (selected ? "✓ " : "");
+
+    switch (panel) {
+      case "modes":
+        for (const mode of MODES) {
+          add(
+            this.createItem(`${check(mode.id === this.game.modeId)}${mode.name}`, () => {
+              this.game.setMode(mode.id);
+              this.showPanel(null);
+            }),
+          );
+          add(this.createDescription(mode.description));
+        }
+        break;
+      case "difficulty":
+        for (const difficulty of DIFFICULTIES) {
+          add(
+            this.createItem(`${check(difficulty.id === this.game.getDifficulty().id)}${difficulty.name}`, () => {
+              this.game.setDifficulty(difficulty.id);
+              this.showPanel(null);
+            }),
+          );
+          add(this.createDescription(difficulty.description));
+        }
+        break;
+      case "garage":
+        for (const paint of CAR_COLORS) {
+          const item = this.createItem(`${check(paint.color === this.game.carColor)}${paint.name}`, () => {
+            this.game.setCarColor(paint.color);
+            this.showPanel("garage");
+          });
+          item.style.borderLeft = `16px solid #${paint.color.toString(16).padStart(6, "0")}`;
+          add(item);
+        }
+        break;
+      case "leaderboard":
+        add(this.createLeaderboard());
+        break;
+      case "credits": {
+        const credits = document.createElement("p");
+        credits.innerHTML = "Tesla Runner<br>Built with three.js<br>Thanks for playing!";
+        credits.style.textAlign = "center";
+        credits.style.lineHeight = "1.6";
+        add(credits);
+        break;
+      }
+      default:
+        for (const [index, item] of this.getItems().entries()) {
+          const button = this.createItem(item.label, item.action, index === 0 ? "#4CAF50" : "#333");
+          if (item.disabled) {
+            button.disabled = true;
+            button.style.opacity = "0.5";
+          }
+          add(button);
+        }
+    }
+    if (panel) add(this.createItem("Back", () => this.showPanel(null), "#f44336"));
+    this.focus(0);
+  }
+
+  createLeaderboard() {
+    const runs = this.game.getLeaderboard(this.game.modeId, this.game.getDifficulty().id);
+    const table = document.createElement("table");
+    table.style.borderCollapse = "collapse";
+    table.style.marginBottom = "10px";
+    let rows = '<tr><td colspan="4">No runs yet</td></tr>';
+    if (runs.length) {
+      rows = runs
+        .map((run, i) => `<tr><td>${i + 1}</td><td>${run.score}</td><td>${this.game.formatDistance(run.distance)}</td><td>${run.coins}</td></tr>`)
+        .join("");
+    }
+    table.innerHTML = "<tr><th>#</th><th>Score</th><th>Distance</th><th>Coins</th></tr>" + rows;
+    for (const cell of table.querySelectorAll("th, td")) cell.style.padding = "4px 12px";
+    return table;
+  }
+
+  focus(index) {
+    this.focusIndex = (index + this.focusables.length) % this.focusables.length;
+    this.focusables.forEach((item, i) => {
+      item.style.outline = i === this.focusIndex ? "3px solid white" : "none";
+      item.style.transform = i === this.focusIndex ? "scale(1.05)" : "none";
+    });
+  }
+
+  // Returns true when the key was used by the menu.
+  handleKey(event) {
+    switch (event.key) {
+      case "ArrowUp":
+      case "w":
+      case "W":
+        this.focus(this.focusIndex - 1);
+        break;
+      case "ArrowDown":
+      case "s":
+      case "S":
+        this.focus(this.focusIndex + 1);
+        break;
+      case "Enter":
+      case " ":
+        this.focusables[this.focusIndex]?.click();
+        break;
+      case "Escape":
+      case "Backspace":
+        if (this.panel) this.showPanel(null);
+        break;
+      default:
+        return false;
+    }
+    event.preventDefault();
+    return true;
+  }
+}
@@ -0,0 +1,41 @@
+// Keeps released objects for reuse instead of creating new ones, and counts
+// how many exist so leaks show up in the stats.
+export class ObjectPool {
+  constructor(factory, onRelease = () => {}) {
+    this.factory = factory;
+    this.onRelease = onRelease;
+    this.free = [];
+    this.created = 0;
+    this.active = 0;
+    this.peak = 0;
+  }
+
+  acquire() {
+    let object = this.free.pop();
+    if (!object) {
+      object = this.factory();
+      this.created++;
+    }
+    this.active++;
+    this.peak = Math.max(this.peak, this.active);
+    return object;
+  }
+
+  release(object) {
+    this.onRelease(object);
+    this.free.push(object);
+    this.active--;
+  }
+
+  prewarm(count) {
+    while (this.created < count) {
+      this.free.push(this.factory());
+      this.created++;
+    }
+    return this;
+  }
+
+  getStats() {
+    return { created: this.created, active: this.active, free: this.free.length, peak: this.peak };
+  }
+}
@@ -0,0 +1,137 @@
+import { createButton } from "./button.js";
+
+// Re-drives the game's simulation from a recorded replay, with play/pause,
+// playback speed and scrubbing controls.
+export class ReplayPlayer {
+  constructor(game, replay) {
+    this.game = game;
+    this.simulation = null;
+    this.replay = replay;
+    this.isPlaying = true;
+    this.playbackRate = 1;
+    this.accumulator = 0;
+    this.inputIndex = 0;
+    this.createControls();
+    this.seek(0);
+  }
+
+  createControls() {
+    const controls = document.createElement("div");
+    controls.id = "replayControls";
+    controls.style.position = "fixed";
+    controls.style.bottom = "20px";
+    controls.style.left = "50%";
+    controls.style.transformOrigin = "bottom center";
+    controls.dataset.hud = "translateX(-50%)";
+    controls.style.display = "flex";
+    controls.style.alignItems = "center";
+    controls.style.gap = "10px";
+    controls.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+    controls.style.color = "white";
+    controls.style.padding = "10px 20px";
+    controls.style.borderRadius = "10px";
+    controls.style.fontFamily = "Arial, sans-serif";
+    controls.style.zIndex = "1000";
+
+    this.playButton = createButton("Pause", () => this.togglePlayback());
+    controls.appendChild(this.playButton);
+
+    this.rateButtons = [1, 2, 4].map((rate) => {
+      const button = createButton(rate + "x", () => this.setPlaybackRate(rate), "#555");
+      controls.appendChild(button);
+      return button;
+    });
+
+    this.scrubber = document.createElement("input");
+    this.scrubber.type = "range";
+    this.scrubber.min = "0";
+    this.scrubber.max = String(this.replay.ticks);
+    this.scrubber.value = "0";
+    this.scrubber.style.width = "300px";
+    this.scrubber.oninput = () => this.seek(Number(this.scrubber.value));
+    controls.appendChild(this.scrubber);
+
+    this.timeLabel = document.createElement("span");
+    this.timeLabel.style.minWidth = "90px";
+    controls.appendChild(this.timeLabel);
+
+    controls.appendChild(createButton("Exit Replay", () => this.game.stopReplay(), "#f44336"));
+    this.controls = controls;
+    this.game.container.appendChild(this.game.scaleHud(controls));
+    this.setPlaybackRate(1);
+  }
+
+  formatTime(tick) {
+    const seconds = Math.floor(tick * this.replay.timestep);
+    return Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0");
+  }
+
+  updateControls() {
+    this.playButton.textContent = this.isPlaying ? "Pause" : "Play";
+    const tick = this.simulation?.tick || 0;
+    this.scrubber.value = String(tick);
+    this.timeLabel.textContent = this.formatTime(tick) + " / " + this.formatTime(this.replay.ticks);
+  }
+
+  togglePlayback() {
+    if (!this.isPlaying && this.isFinished()) this.seek(0);
+    this.isPlaying = !this.isPlaying;
+    this.updateControls();
+  }
+
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    for (const button of this.rateButtons) {
+      button.style.backgroundColor = button.textContent === rate + "x" ? "#4CAF50" : "#555";
+    }
+  }
+
+  isFinished() {
+    return this.simulation.tick >= this.replay.ticks || this.simulation.gameOver;
+  }
+
+  advance() {
+    const inputs = this.replay.inputs;
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= this.simulation.tick) {
+      this.simulation.applyInput(inputs[this.inputIndex][1]);
+      this.inputIndex++;
+    }
+    this.simulation.step(this.replay.timestep);
+  }
+
+  // The simulation only runs forwards, so seeking replays from the start.
+  seek(tick) {
+    this.simulation = this.game.createSimulation(this.replay.mode, this.replay.seed, {
+      INPUT_BUFFER_WINDOW: this.replay.inputBuffer,
+      difficulty: this.replay.difficulty,
+      ...this.replay.tuning,
+    });
+    this.simulation.start();
+    this.inputIndex = 0;
+    this.accumulator = 0;
+    while (this.simulation.tick < tick && !this.isFinished()) this.advance();
+    this.simulation.events.length = 0;
+    this.updateControls();
+  }
+
+  // Advances playback by a frame's worth of real time and returns the render interpolation alpha.
+  update(frameTime) {
+    if (this.isPlaying) {
+      this.accumulator += frameTime * this.playbackRate;
+      while (this.accumulator >= this.replay.timestep && !this.isFinished()) {
+        this.advance();
+        this.accumulator -= this.replay.timestep;
+      }
+      if (this.isFinished()) {
+        this.isPlaying = false;
+        this.accumulator = 0;
+      }
+      this.updateControls();
+    }
+    return this.accumulator / this.replay.timestep;
+  }
+
+  destroy() {
+    this.controls.remove();
+  }
+}
@@ -0,0 +1,301 @@
+import { formatBinding } from "./bindings.js";
+import { createButton } from "./button.js";
+import { CUSTOM_DIFFICULTY_FIELDS, DIFFICULTIES } from "./sim/difficulty.js";
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// A modal form over the Settings store. Every control writes through
+// immediately, so changes apply while the panel is still open.
+export class SettingsPanel {
+  constructor(game) {
+    this.game = game;
+    this.settings = game.settings;
+    this.inputMap = game.inputMap;
+    this.controls = {};
+    this.capturing = null;
+    this.onClose = null;
+
+    this.element = document.createElement("div");
+    this.element.id = "settingsPanel";
+    this.element.style.display = "none";
+    this.element.style.position = "fixed";
+    this.element.style.top = "50%";
+    this.element.style.left = "50%";
+    this.element.style.transform = "translate(-50%, -50%)";
+    this.element.style.backgroundColor = "rgba(0, 0, 0, 0.9)";
+    this.element.style.color = "white";
+    this.element.style.padding = "20px 30px";
+    this.element.style.borderRadius = "10px";
+    this.element.style.fontFamily = "Arial, sans-serif";
+    this.element.style.zIndex = "1003";
+    this.element.style.minWidth = "380px";
+    this.element.style.maxHeight = "90vh";
+    this.element.style.overflowY = "auto";
+
+    const title = document.createElement("h2");
+    title.textContent = "Settings";
+    title.style.marginTop = "0";
+    title.style.textAlign = "center";
+    this.element.appendChild(title);
+
+    this.body = document.createElement("div");
+    this.element.appendChild(this.body);
+    this.addSelect("quality", "Graphics quality", [
+      ["low", "Low"],
+      ["medium", "Medium"],
+      ["high", "High"],
+    ]);
+    this.addRange("fov", "Camera FOV", 50, 110, 1, (value) => `${value}°`);
+    this.addRange("hudScale", "HUD scale", 0.5, 2, 0.1, percent);
+    this.addSelect("units", "Units", [
+      ["metric", "Metric (m)"],
+      ["imperial", "Imperial (ft)"],
+    ]);
+    this.addRange("masterVolume", "Master volume", 0, 1, 0.05, percent);
+    this.addRange("sfxVolume", "Effects volume", 0, 1, 0.05, percent);
+    this.addRange("engineVolume", "Engine volume", 0, 1, 0.05, percent);
+    this.addSelect("replaySfx", "Sound effects in replays", [
+      ["off", "Off"],
+      ["on", "On"],
+    ]);
+    this.addSelect("autoPause", "Pause when the window loses focus", [
+      ["on", "On"],
+      ["off", "Off"],
+    ]);
+    this.addSelect("touchButtons", "On-screen buttons", [
+      ["auto", "Auto (touch screens)"],
+      ["on", "Always"],
+      ["off", "Never"],
+    ]);
+    this.addRange("swipeDistance", "Swipe distance", 20, 150, 5, (value) => `${value}px`);
+    this.addRange("swipeTime", "Swipe time limit", 150, 1000, 50, (value) => `${value}ms`);
+    this.addRange("inputBuffer", "Input buffer", 0, 400, 10, (value) => `${value}ms`);
+    this.addSelect(
+      "difficulty",
+      "Difficulty",
+      DIFFICULTIES.map(({ id, name, settings }) => {
+        if (!settings.MAX_HEALTH) return [id, name];
+        return [id, `${name} (${settings.MAX_HEALTH} ${settings.MAX_HEALTH === 1 ? "life" : "lives"})`];
+      }),
+    );
+    // A ?difficulty= link can override the saved choice, so show the one in play.
+    const difficulty = this.controls.difficulty.input;
+    difficulty.onchange = () => this.game.setDifficulty(difficulty.value);
+    this.controls.difficulty.update = () => {
+      difficulty.value = this.game.getDifficulty().id;
+    };
+    this.createCustomDifficulty();
+    this.createBindings();
+
+    const buttons = document.createElement("div");
+    buttons.style.textAlign = "center";
+    buttons.style.marginTop = "15px";
+    buttons.appendChild(createButton("Done", () => this.close()));
+    buttons.appendChild(
+      createButton(
+        "Reset to defaults",
+        () => {
+          this.settings.reset();
+          this.refresh();
+        },
+        "#555",
+      ),
+    );
+    this.element.appendChild(buttons);
+    game.mount(this.element);
+  }
+
+  addRow(label, control) {
+    const row = document.createElement("label");
+    row.style.display = "flex";
+    row.style.justifyContent = "space-between";
+    row.style.alignItems = "center";
+    row.style.gap = "20px";
+    row.style.margin = "10px 0";
+    row.append(label, control);
+    this.body.appendChild(row);
+  }
+
+  addSelect(key, label, options) {
+    const select = document.createElement("select");
+    for (const [value, text] of options) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    select.onchange = () => this.settings.set(key, select.value);
+    this.controls[key] = {
+      input: select,
+      update: () => {
+        select.value = this.settings.get(key);
+      },
+    };
+    this.addRow(label, select);
+  }
+
+  addRange(key, label, min, max, step, format) {
+    const valueLabel = document.createElement("span");
+    valueLabel.style.display = "inline-block";
+    valueLabel.style.minWidth = "50px";
+    valueLabel.style.textAlign = "right";
+
+    const range = document.createElement("input");
+    range.type = "range";
+    range.min = String(min);
+    range.max = String(max);
+    range.step = String(step);
+    range.oninput = () => {
+      this.settings.set(key, Number(range.value));
+      valueLabel.textContent = format(Number(range.value));
+    };
+
+    const control = document.createElement("span");
+    control.append(range, valueLabel);
+    this.controls[key] = {
+      input: range,
+      update: () => {
+        range.value = String(this.settings.get(key));
+        valueLabel.textContent = format(this.settings.get(key));
+      },
+    };
+    this.addRow(label, control);
+  }
+
+  createCustomDifficulty() {
+    const title = document.createElement("h3");
+    title.textContent = "Custom difficulty";
+    title.style.marginBottom = "5px";
+    this.body.appendChild(title);
+    for (const field of CUSTOM_DIFFICULTY_FIELDS) {
+      this.addRange(field.setting, field.label, field.min, field.max, field.step, field.format);
+    }
+    this.addSelect(
+      "customMix",
+      "Obstacle mix",
+      DIFFICULTIES.filter((difficulty) => difficulty.id !== "custom").map((difficulty) => [difficulty.id, difficulty.name]),
+    );
+  }
+
+  createBindings() {
+    const title = document.createElement("h3");
+    title.textContent = "Controls";
+    title.style.marginBottom = "5px";
+    this.body.appendChild(title);
+
+    const layouts = document.createElement("div");
+    layouts.appendChild(createButton("WASD defaults", () => this.resetBindings("wasd"), "#555"));
+    layouts.appendChild(createButton("AZERTY defaults", () => this.resetBindings("azerty"), "#555"));
+    this.body.appendChild(layouts);
+
+    this.bindingStatus = document.createElement("p");
+    this.bindingStatus.style.minHeight = "1.2em";
+    this.bindingStatus.style.color = "#FFC107";
+    this.body.appendChild(this.bindingStatus);
+
+    this.bindingRows = document.createElement("div");
+    this.body.appendChild(this.bindingRows);
+    this.controls.bindings = { update: () => this.renderBindings() };
+  }
+
+  // One row per action: a removable chip per binding, then "+ Add".
+  renderBindings() {
+    this.bindingRows.textContent = "";
+    for (const action of this.inputMap.actions) {
+      const chips = document.createElement("span");
+      chips.style.display = "flex";
+      chips.style.flexWrap = "wrap";
+      chips.style.justifyContent = "flex-end";
+      chips.style.gap = "4px";
+      for (const binding of this.inputMap.getBindings(action.id)) {
+        const chip = document.createElement("button");
+        chip.textContent = `${formatBinding(binding)} ×`;
+        chip.title = "Remove binding";
+        chip.style.fontSize = "12px";
+        if (!this.inputMap.canUnbind(action.id)) {
+          chip.disabled = true;
+          chip.title = "Every action needs at least one binding";
+        }
+        chip.onclick = (event) => {
+          event.preventDefault();
+          this.inputMap.unbind(action.id, binding);
+          this.renderBindings();
+        };
+        chips.appendChild(chip);
+      }
+
+      const add = document.createElement("button");
+      add.textContent = this.capturing === action.id ? "Press a key…" : "+ Add";
+      add.style.fontSize = "12px";
+      add.onclick = (event) => {
+        event.preventDefault();
+        this.startCapture(action.id);
+      };
+      chips.appendChild(add);
+
+      const row = document.createElement("div");
+      row.style.display = "flex";
+      row.style.justifyContent = "space-between";
+      row.style.alignItems = "center";
+      row.style.gap = "20px";
+      row.style.margin = "8px 0";
+      row.append(action.label, chips);
+      this.bindingRows.appendChild(row);
+    }
+  }
+
+  resetBindings(layout) {
+    this.capturing = null;
+    this.inputMap.reset(layout);
+    this.bindingStatus.textContent = "";
+    this.renderBindings();
+  }
+
+  startCapture(id) {
+    this.capturing = id;
+    this.bindingStatus.textContent = "Press a key or controller button (Escape to cancel).";
+    this.renderBindings();
+  }
+
+  // Called with every input while the panel is open; returns true when the
+  // input was consumed as a new binding (or as Escape cancelling the capture).
+  captureBinding(binding) {
+    if (!this.capturing) return false;
+    const id = this.capturing;
+    this.capturing = null;
+    if (binding === "key:Escape") {
+      this.bindingStatus.textContent = "";
+    } else {
+      const owner = this.inputMap.actions.find((action) => action.id === this.inputMap.bind(id, binding));
+      this.bindingStatus.textContent = owner ? `${formatBinding(binding)} is already bound to ${owner.label}.` : "";
+    }
+    this.renderBindings();
+    return true;
+  }
+
+  refresh() {
+    for (const key in this.controls) this.controls[key].update();
+  }
+
+  isOpen() {
+    return this.element.style.display !== "none";
+  }
+
+  // `onClose` runs once when the panel is closed, e.g. to give focus back to the menu.
+  open(onClose = null) {
+    this.onClose = onClose;
+    this.refresh();
+    this.element.style.display = "block";
+    this.controls.quality.input.focus();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+    this.capturing = null;
+    this.bindingStatus.textContent = "";
+    this.element.style.display = "none";
+    const onClose = this.onClose;
+    this.onClose = null;
+    onClose?.();
+  }
+}
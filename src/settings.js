@@ -0,0 +1,78 @@
+export const DEFAULT_SETTINGS = {
+  quality: "high",
+  fov: 75,
+  hudScale: 1,
+  units: "metric",
+  masterVolume: 0.8,
+  sfxVolume: 1,
+  engineVolume: 0.4,
+  replaySfx: "off",
+  autoPause: "on",
+  touchButtons: "auto",
+  swipeDistance: 50,
+  swipeTime: 500,
+  inputBuffer: 150,
+  difficulty: "normal",
+  customLives: 3,
+  customStartSpeed: 15,
+  customMaxSpeed: 50,
+  customSpeedIncrement: 2,
+  customSpeedInterval: 7000,
+  customSpawnInterval: 3000,
+  customMinSpawnInterval: 1500,
+  customMix: "normal",
+};
+
+// User settings persisted to localStorage. Bump the version in the key when
+// stored values can no longer be read by the current defaults.
+export class Settings {
+  constructor(key = "teslaRunner.settings.v1", defaults = DEFAULT_SETTINGS) {
+    this.key = key;
+    this.defaults = defaults;
+    this.values = { ...defaults, ...this.load() };
+    this.listeners = new Set();
+  }
+
+  // Ignores unknown keys and values whose type does not match the default.
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.key)) || {};
+      const values = {};
+      for (const key in this.defaults) {
+        if (typeof saved[key] === typeof this.defaults[key]) values[key] = saved[key];
+      }
+      return values;
+    } catch {
+      return {};
+    }
+  }
+
+  save() {
+    localStorage.setItem(this.key, JSON.stringify(this.values));
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    if (this.values[key] === value) return;
+    this.values[key] = value;
+    this.save();
+    for (const listener of this.listeners) listener(key, value);
+  }
+
+  reset() {
+    this.values = { ...this.defaults };
+    this.save();
+    for (const key in this.values) {
+      for (const listener of this.listeners) listener(key, this.values[key]);
+    }
+  }
+
+  // Returns a function that removes the listener.
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
@@ -0,0 +1,69 @@
+import { OBSTACLE_TYPES, POWERUP_TYPES, SCENERY_TYPES } from "./entities.js";
+
+// Validates a track chunk file (or its parsed contents) and returns its chunks
+// with defaults filled in. A chunk is a stretch of road `length` metres long;
+// everything in it is placed by lane (0-2 or "any") and by `offset` metres
+// from the chunk's start. Chunks unlock as the run reaches their `tier`.
+export function parseChunks(source) {
+  const file = typeof source === "string" ? JSON.parse(source) : source;
+  if (!file || file.version !== 1 || !Array.isArray(file.chunks) || file.chunks.length === 0) {
+    throw new Error("Invalid track chunk file");
+  }
+  const ids = new Set();
+  return file.chunks.map((chunk, index) => {
+    const fail = (message) => {
+      const name = typeof chunk?.id === "string" ? `"${chunk.id}"` : `#${index}`;
+      throw new Error(`Invalid track chunk ${name}: ${message}`);
+    };
+    const isLane = (lane, lastLane) => lane === "any" || (Number.isInteger(lane) && lane >= 0 && lane <= lastLane);
+    const isOffset = (offset) => Number.isFinite(offset) && offset >= 0 && offset <= chunk.length;
+
+    if (!chunk || typeof chunk.id !== "string" || !chunk.id) fail("missing id");
+    if (ids.has(chunk.id)) fail("duplicate id");
+    ids.add(chunk.id);
+    if (!Number.isInteger(chunk.tier) || chunk.tier < 0 || chunk.tier > 3) fail("tier must be an integer from 0 to 3");
+    if (!Number.isFinite(chunk.length) || chunk.length <= 0) fail("length must be a positive number");
+    if (chunk.weight !== undefined && !(Number.isFinite(chunk.weight) && chunk.weight > 0)) fail("weight must be a positive number");
+    for (const key of ["obstacles", "coins", "scenery", "powerups"]) {
+      if (chunk[key] !== undefined && !Array.isArray(chunk[key])) fail(`${key} must be an array`);
+    }
+
+    return {
+      id: chunk.id,
+      tier: chunk.tier,
+      length: chunk.length,
+      weight: chunk.weight ?? 1,
+      obstacles: (chunk.obstacles || []).map((obstacle) => {
+        const type = OBSTACLE_TYPES.find((candidate) => candidate.id === obstacle?.type);
+        if (obstacle?.type !== "any" && !type) fail(`unknown obstacle type "${obstacle?.type}"`);
+        if (!isLane(obstacle.lane, type?.lanes === 2 ? 1 : 2)) fail(`invalid lane for obstacle "${obstacle.type}"`);
+        if (!isOffset(obstacle.offset)) fail("obstacle offset must lie within the chunk");
+        return { type: obstacle.type, lane: obstacle.lane, offset: obstacle.offset };
+      }),
+      coins: (chunk.coins || []).map((line) => {
+        const coins = { lane: line?.lane, offset: line?.offset, count: line?.count ?? 1, spacing: line?.spacing ?? 6 };
+        if (!isLane(coins.lane, 2)) fail("invalid coin lane");
+        if (!Number.isInteger(coins.count) || coins.count <= 0) fail("coin count must be a positive integer");
+        if (!Number.isFinite(coins.spacing) || coins.spacing <= 0) fail("coin spacing must be a positive number");
+        if (!isOffset(coins.offset) || !isOffset(coins.offset + (coins.count - 1) * coins.spacing)) {
+          fail("coin line must lie within the chunk");
+        }
+        return coins;
+      }),
+      scenery: (chunk.scenery || []).map((item) => {
+        if (!SCENERY_TYPES.some((type) => type.id === item?.type)) fail(`unknown scenery type "${item?.type}"`);
+        if (item.side !== "left" && item.side !== "right") fail('scenery side must be "left" or "right"');
+        if (!isOffset(item.offset)) fail("scenery offset must lie within the chunk");
+        return { type: item.type, side: item.side, offset: item.offset };
+      }),
+      powerups: (chunk.powerups || []).map((powerup) => {
+        if (powerup?.type !== "any" && !POWERUP_TYPES.some((type) => type.id === powerup?.type)) {
+          fail(`unknown power-up type "${powerup?.type}"`);
+        }
+        if (!isLane(powerup.lane, 2)) fail("invalid power-up lane");
+        if (!isOffset(powerup.offset)) fail("power-up offset must lie within the chunk");
+        return { type: powerup.type, lane: powerup.lane, offset: powerup.offset };
+      }),
+    };
+  });
+}
@@ -0,0 +1,89 @@
+// Difficulty levels: like modes, each one is a set of Simulation setting
+// overrides. OBSTACLE_MIX scales each obstacle type's spawn weight by id, both
+// for "any" placements and for chunks that name the type. Custom has no
+// settings of its own; the game fills them in from CUSTOM_DIFFICULTY_FIELDS.
+export const DIFFICULTIES = [
+  {
+    id: "easy",
+    name: "Easy",
+    description: "Five lives, a gentle speed ramp and no swervers.",
+    settings: {
+      MAX_HEALTH: 5,
+      START_SPEED: 12,
+      MAX_SPEED: 40,
+      SPEED_INCREMENT: 1.5,
+      SPEED_INCREASE_INTERVAL: 9000,
+      START_SPAWN_INTERVAL: 3500,
+      MIN_SPAWN_INTERVAL: 2000,
+      OBSTACLE_MIX: { swerver: 0, barrel: 0.5, truck: 0.5 },
+    },
+  },
+  { id: "normal", name: "Normal", description: "Three lives.", settings: { MAX_HEALTH: 3 } },
+  {
+    id: "hard",
+    name: "Hard",
+    description: "One hit and the run is over.",
+    settings: {
+      MAX_HEALTH: 1,
+      START_SPEED: 18,
+      MAX_SPEED: 55,
+      SPEED_INCREMENT: 2.5,
+      SPEED_INCREASE_INTERVAL: 6000,
+      START_SPAWN_INTERVAL: 2500,
+      MIN_SPAWN_INTERVAL: 1200,
+      OBSTACLE_MIX: { block: 0.8, swerver: 1.5, barrel: 1.5, truck: 1.5 },
+    },
+  },
+  {
+    id: "insane",
+    name: "Insane",
+    description: "One life, a brutal speed ramp and heavy traffic.",
+    settings: {
+      MAX_HEALTH: 1,
+      START_SPEED: 22,
+      MAX_SPEED: 65,
+      SPEED_INCREMENT: 3,
+      SPEED_INCREASE_INTERVAL: 5000,
+      START_SPAWN_INTERVAL: 2000,
+      MIN_SPAWN_INTERVAL: 900,
+      OBSTACLE_MIX: { block: 0.5, cone: 0.5, sign: 1.5, swerver: 2, barrel: 2, truck: 2 },
+    },
+  },
+  { id: "custom", name: "Custom", description: "Your own speed ramp and traffic, tuned in Settings.", settings: {} },
+];
+
+// The Simulation settings a Custom run takes from the player's settings, with
+// the ranges the settings panel offers and replays are checked against.
+export const CUSTOM_DIFFICULTY_FIELDS = [
+  { key: "MAX_HEALTH", setting: "customLives", label: "Lives", min: 1, max: 9, step: 1, format: (value) => `${value}` },
+  { key: "START_SPEED", setting: "customStartSpeed", label: "Starting speed", min: 5, max: 40, step: 1, format: (value) => `${value} m/s` },
+  { key: "MAX_SPEED", setting: "customMaxSpeed", label: "Top speed", min: 20, max: 80, step: 1, format: (value) => `${value} m/s` },
+  { key: "SPEED_INCREMENT", setting: "customSpeedIncrement", label: "Speed step", min: 0.5, max: 5, step: 0.5, format: (value) => `${value} m/s` },
+  {
+    key: "SPEED_INCREASE_INTERVAL",
+    setting: "customSpeedInterval",
+    label: "Speed step every",
+    min: 2000,
+    max: 15000,
+    step: 500,
+    format: (value) => `${value / 1000}s`,
+  },
+  {
+    key: "START_SPAWN_INTERVAL",
+    setting: "customSpawnInterval",
+    label: "Starting obstacle gap",
+    min: 1000,
+    max: 5000,
+    step: 100,
+    format: (value) => `${value / 1000}s`,
+  },
+  {
+    key: "MIN_SPAWN_INTERVAL",
+    setting: "customMinSpawnInterval",
+    label: "Closest obstacle gap",
+    min: 500,
+    max: 3000,
+    step: 100,
+    format: (value) => `${value / 1000}s`,
+  },
+];
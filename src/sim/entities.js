@@ -0,0 +1,216 @@
+// Obstacle catalogue. Each type has a hitbox (centred at height `y`), a spawn
+// weight and the parts the view builds its mesh from. Weights grow or shrink
+// with speed above the start speed (`perSpeed`) and are zero before
+// `minDistance` metres. `lanes: 2` types straddle two neighbouring lanes.
+// `clearance` marks obstacles the car can "jump" over or "duck" under.
+export const OBSTACLE_TYPES = [
+  {
+    id: "block",
+    hitbox: { width: 2.5, height: 3, depth: 2.5 },
+    y: 1.5,
+    weight: { base: 3, perSpeed: -0.03 },
+    parts: [{ shape: "box", args: [2.5, 3, 2.5], material: { color: 0xff0000, emissive: 0x990000, shininess: 100, specular: 0xffffff } }],
+    light: { color: 0xff0000, intensity: 1, distance: 10, y: 2 },
+  },
+  {
+    id: "cone",
+    hitbox: { width: 1, height: 1.2, depth: 1 },
+    clearance: "jump",
+    y: 0.6,
+    weight: { base: 3, perSpeed: -0.04 },
+    parts: [
+      { shape: "cylinder", args: [0.08, 0.5, 1.1, 12], position: [0, 0.05, 0], material: { color: 0xff6600, emissive: 0x442200 } },
+      { shape: "box", args: [1, 0.1, 1], position: [0, -0.55, 0], material: { color: 0xff6600 } },
+    ],
+  },
+  {
+    id: "barrier",
+    hitbox: { width: 3.5, height: 1, depth: 1 },
+    clearance: "jump",
+    y: 0.5,
+    weight: { base: 1.2, minDistance: 100 },
+    parts: [{ shape: "box", args: [3.5, 1, 1], material: { color: 0xff8c00, emissive: 0x663300, shininess: 60 } }],
+    light: { color: 0xff8c00, intensity: 0.6, distance: 6, y: 1 },
+  },
+  {
+    id: "sign",
+    hitbox: { width: 3.5, height: 1.2, depth: 0.5 },
+    clearance: "duck",
+    y: 1.4,
+    weight: { base: 1.2, minDistance: 100 },
+    parts: [
+      { shape: "box", args: [3.5, 1.2, 0.5], material: { color: 0x1b5e20, emissive: 0x001920, shininess: 30 } },
+      { shape: "box", args: [3.1, 0.12, 0.52], position: [0, -0.3, 0], material: { color: 0xffffff, emissive: 0xffffff } },
+    ],
+  },
+  {
+    id: "parkedCar",
+    hitbox: { width: 2.4, height: 1.6, depth: 4.2 },
+    y: 0.8,
+    weight: { base: 2, minDistance: 200 },
+    parts: [
+      { shape: "box", args: [2.4, 0.9, 4.2], position: [0, -0.35, 0], material: { color: 0x607d8b } },
+      { shape: "box", args: [2, 0.7, 2.2], position: [0, 0.45, 0.3], material: { color: 0x37474f } },
+    ],
+  },
+  {
+    id: "swerver",
+    hitbox: { width: 2.4, height: 1.6, depth: 4.2 },
+    y: 0.8,
+    weight: { base: 0.5, perSpeed: 0.05, minDistance: 500 },
+    behaviour: "swerve",
+    swerveDistance: 45,
+    swerveSpeed: 6,
+    parts: [
+      { shape: "box", args: [2.4, 0.9, 4.2], position: [0, -0.35, 0], material: { color: 0xffc107, emissive: 0x443300 } },
+      { shape: "box", args: [2, 0.7, 2.2], position: [0, 0.45, 0.3], material: { color: 0x333333 } },
+    ],
+  },
+  {
+    id: "barrel",
+    hitbox: { width: 1.2, height: 1.2, depth: 1.2 },
+    y: 0.6,
+    weight: { base: 0.5, perSpeed: 0.04, minDistance: 300 },
+    behaviour: "roll",
+    rollSpeed: 10,
+    parts: [{ shape: "cylinder", args: [0.6, 0.6, 1.2, 16], rotation: [0, 0, Math.PI / 2], material: { color: 0x8b4513 } }],
+  },
+  {
+    id: "truck",
+    lanes: 2,
+    hitbox: { width: 6.5, height: 3.2, depth: 8 },
+    y: 1.6,
+    weight: { base: 0.3, perSpeed: 0.03, minDistance: 800 },
+    parts: [
+      { shape: "box", args: [6.4, 2.4, 6], position: [0, 0.4, 1], material: { color: 0xe6e6e6 } },
+      { shape: "box", args: [6.4, 2, 1.8], position: [0, -0.6, -3.1], material: { color: 0x1565c0 } },
+    ],
+  },
+];
+
+// Roadside models placed by track chunks. They have no hitbox; parts face the
+// road from the left-hand side and are turned round on the right.
+export const SCENERY_TYPES = [
+  {
+    id: "tree",
+    parts: [
+      { shape: "cylinder", args: [0.25, 0.3, 2, 8], position: [0, 1, 0], material: { color: 0x6b4423 } },
+      { shape: "cylinder", args: [0, 1.6, 3.5, 10], position: [0, 3.5, 0], material: { color: 0x2e7d32 } },
+    ],
+  },
+  {
+    id: "lamp",
+    parts: [
+      { shape: "cylinder", args: [0.1, 0.12, 6, 8], position: [0, 3, 0], material: { color: 0x808080 } },
+      { shape: "box", args: [1.6, 0.15, 0.4], position: [0.7, 6, 0], material: { color: 0x808080 } },
+      { shape: "box", args: [0.6, 0.1, 0.3], position: [1.2, 5.9, 0], material: { color: 0xfff59d, emissive: 0xfff59d } },
+    ],
+  },
+  {
+    id: "billboard",
+    parts: [
+      { shape: "cylinder", args: [0.15, 0.15, 4, 8], position: [-1.8, 2, 0], material: { color: 0x555555 } },
+      { shape: "cylinder", args: [0.15, 0.15, 4, 8], position: [1.8, 2, 0], material: { color: 0x555555 } },
+      { shape: "box", args: [5, 2.5, 0.2], position: [0, 4.8, 0], material: { color: 0x1976d2, emissive: 0x0d43a1 } },
+    ],
+  },
+];
+
+// Power-ups picked up on the road. Each effect lasts `duration` ms; a second
+// pickup of the same kind restarts the timer. `speedScale` slows the world
+// while the effect is active.
+export const POWERUP_TYPES = [
+  {
+    id: "magnet",
+    name: "Magnet",
+    icon: "🧲",
+    color: 0xe74c3c,
+    duration: 8000,
+    weight: { base: 1 },
+    parts: [
+      { shape: "box", args: [0.3, 0.9, 0.3], position: [-0.35, 0, 0], material: { color: 0xe74c3c, emissive: 0x701919 } },
+      { shape: "box", args: [0.3, 0.9, 0.3], position: [0.35, 0, 0], material: { color: 0xe74c3c, emissive: 0x701919 } },
+      { shape: "box", args: [1, 0.3, 0.3], position: [0, 0.45, 0], material: { color: 0xe74c3c, emissive: 0x701919 } },
+      { shape: "box", args: [0.3, 0.2, 0.3], position: [-0.35, -0.55, 0], material: { color: 0xcccccc } },
+      { shape: "box", args: [0.3, 0.2, 0.3], position: [0.35, -0.55, 0], material: { color: 0xcccccc } },
+    ],
+  },
+  {
+    id: "shield",
+    name: "Shield",
+    icon: "🛡️",
+    color: 0x3498db,
+    duration: 15000,
+    weight: { base: 1, minDistance: 200 },
+    parts: [{ shape: "cylinder", args: [0.6, 0.6, 0.15, 6], rotation: [Math.PI / 2, 0, 0], material: { color: 0x3498db, emissive: 0x1565c0 } }],
+  },
+  {
+    id: "doubleCoins",
+    name: "Double Coins",
+    icon: "2×",
+    color: 0xffd700,
+    duration: 10000,
+    weight: { base: 1 },
+    parts: [
+      { shape: "cylinder", args: [0.45, 0.45, 0.1, 24], position: [-0.25, 0, -0.1], rotation: [Math.PI / 2, 0, 0], material: { color: 0xffd700, emissive: 0x800000 } },
+      { shape: "cylinder", args: [0.45, 0.45, 0.1, 24], position: [0.25, 0, 0.1], rotation: [Math.PI / 2, 0, 0], material: { color: 0xffd700, emissive: 0x800000 } },
+    ],
+  },
+  {
+    id: "slowMo",
+    name: "Slow Motion",
+    icon: "⏳",
+    color: 0x9b59b6,
+    duration: 5000,
+    speedScale: 0.6,
+    weight: { base: 0.8, minDistance: 400 },
+    parts: [
+      { shape: "cylinder", args: [0, 0.45, 0.6, 12], position: [0, -0.3, 0], material: { color: 0x9b59b6, emissive: 0x440044 } },
+      { shape: "cylinder", args: [0.45, 0, 0.6, 12], position: [0, 0.3, 0], material: { color: 0x9b59b6, emissive: 0x440044 } },
+    ],
+  },
+  {
+    id: "autopilot",
+    name: "Autopilot",
+    icon: "🚗",
+    color: 0x1abc9c,
+    duration: 8000,
+    weight: { base: 0.6, minDistance: 300 },
+    parts: [
+      { shape: "cylinder", args: [0.55, 0.55, 0.12, 24], rotation: [Math.PI / 2, 0, 0], material: { color: 0x1abc9c, emissive: 0x0d664f } },
+      { shape: "box", args: [0.9, 0.14, 0.14], material: { color: 0xf0f0f0 } },
+      { shape: "box", args: [0.14, 0.5, 0.14], position: [0, -0.25, 0], material: { color: 0xf0f0f0 } },
+    ],
+  },
+];
+
+// One-off pickups placed beside coin lines, each with a `chance` per line.
+// Driving through one restores `charge` battery points and/or `heal` health.
+export const PICKUP_TYPES = [
+  {
+    id: "supercharger",
+    hitbox: { width: 1.4, height: 2, depth: 1.4 },
+    y: 1,
+    chance: 0.05,
+    charge: 35,
+    parts: [
+      { shape: "box", args: [0.8, 2, 0.5], material: { color: 0xeeeeee } },
+      { shape: "box", args: [0.82, 0.9, 0.52], position: [0, 0.45, 0], material: { color: 0xcc0000, emissive: 0x550000 } },
+      { shape: "box", args: [0.3, 0.08, 0.53], position: [0, -0.2, 0], material: { color: 0x33cc33, emissive: 0x33cc33 } },
+      { shape: "cylinder", args: [0.06, 0.06, 1.2, 8], position: [0.45, -0.3, 0], rotation: [0, 0, 0.3], material: { color: 0x222222 } },
+    ],
+  },
+  {
+    id: "repairKit",
+    hitbox: { width: 1.2, height: 1.2, depth: 1.2 },
+    y: 1,
+    chance: 0.03,
+    heal: 1,
+    parts: [
+      { shape: "box", args: [1, 0.7, 0.5], material: { color: 0xeeeeee } },
+      { shape: "box", args: [0.5, 0.14, 0.52], material: { color: 0xe50000, emissive: 0x660000 } },
+      { shape: "box", args: [0.14, 0.5, 0.52], material: { color: 0xe50000, emissive: 0x660000 } },
+      { shape: "box", args: [0.4, 0.1, 0.1], position: [0, 0.4, 0], material: { color: 0x333333 } },
+    ],
+  },
+];
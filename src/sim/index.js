@@ -0,0 +1,10 @@
+// Headless game simulation: no DOM or WebGL access, safe to import from Node.
+export { parseChunks } from "./chunks.js";
+export { CUSTOM_DIFFICULTY_FIELDS, DIFFICULTIES } from "./difficulty.js";
+export { OBSTACLE_TYPES, PICKUP_TYPES, POWERUP_TYPES, SCENERY_TYPES } from "./entities.js";
+export { MODES } from "./modes.js";
+export { Planner } from "./planner.js";
+export { createRandom, hashSeed } from "./random.js";
+export { parseReplay, REPLAY_VERSION } from "./replay.js";
+export { computeScore, DEFAULT_SCORING } from "./scoring.js";
+export { Simulation } from "./simulation.js";
@@ -0,0 +1,13 @@
+import { DEFAULT_SCORING } from "./scoring.js";
+
+// Game modes: each one is a set of Simulation setting overrides and the formula its runs are scored by.
+export const MODES = [
+  { id: "endless", name: "Endless", description: "Drive as far as you can without crashing.", settings: {}, scoring: DEFAULT_SCORING },
+  {
+    id: "coinRush",
+    name: "Coin Rush",
+    description: "Grab as many coins as you can in 60 seconds.",
+    settings: { TIME_LIMIT: 60000, COIN_SPAWN_INTERVAL: 300 },
+    scoring: { ...DEFAULT_SCORING, distance: 0.25, coins: 50, speedTier: 0 },
+  },
+];
@@ -0,0 +1,237 @@
+// Look-ahead autopilot. It only sees the physics constants it is built with
+// and the snapshot passed to plan() (see Simulation.getPlannerState), never
+// the simulation itself, so anything that can describe a car and the road
+// around it can be driven by one.
+export class Planner {
+  constructor(physics, settings = {}) {
+    this.physics = physics;
+    this.state = null;
+    this.LOOKAHEAD = 1.2;
+    this.STEP = 1 / 60;
+    this.SAFETY_MARGIN = 0.03;
+    this.JUMP_LEAD = 0.3;
+    this.DUCK_LEAD = 0.15;
+    this.COIN_VALUE = 1;
+    this.PICKUP_VALUE = 5;
+    this.MOVE_COST = 0.2;
+    Object.assign(this, settings);
+  }
+
+  getClosingSpeed(entity) {
+    const state = this.state;
+    return state.speedScale * (2 * state.speed + (entity.rollSpeed || 0));
+  }
+
+  // Seconds from now until `entity` starts and stops overlapping the car along the road.
+  getWindow(entity) {
+    const state = this.state;
+    const halfDepth = (state.car.depth + entity.depth) / 2;
+    const closingSpeed = this.getClosingSpeed(entity);
+    return {
+      enter: (state.car.z - entity.z - halfDepth) / closingSpeed,
+      exit: (state.car.z - entity.z + halfDepth) / closingSpeed,
+    };
+  }
+
+  // Seconds for the car to finish sliding into `lane` from where it is now.
+  getReachTime(lane) {
+    const physics = this.physics;
+    return (Math.abs(physics.LANE_POSITIONS[lane] - this.state.car.x) / physics.LANE_WIDTH) * (physics.LANE_CHANGE_DURATION / 1000);
+  }
+
+  // Lanes the obstacle covers on its way from x to targetX. A swerver that
+  // hasn't picked a side yet could end up in either neighbour.
+  getOccupiedLanes(obstacle) {
+    if (obstacle.behaviour === "swerve" && obstacle.targetX === null) {
+      return [obstacle.lane - 1, obstacle.lane, obstacle.lane + 1].filter((lane) => lane >= 0 && lane <= 2);
+    }
+    const targetX = obstacle.targetX ?? obstacle.x;
+    return [0, 1, 2].filter((lane) => {
+      const x = this.physics.LANE_POSITIONS[lane];
+      const gap = Math.max(0, Math.min(obstacle.x, targetX) - x, x - Math.max(obstacle.x, targetX));
+      return gap * 2 < this.state.car.width + obstacle.width;
+    });
+  }
+
+  // Whether the obstacle lines up with the lane the car is moving into, or
+  // with where the car is now if it won't have finished moving `time` seconds from now.
+  isInPath(obstacle, time = 0) {
+    const state = this.state;
+    const positions = [this.physics.LANE_POSITIONS[state.lane]];
+    if (this.getReachTime(state.lane) > time) positions.push(state.car.x);
+    return positions.some((x) => Math.abs(obstacle.x - x) * 2 < state.car.width + obstacle.width);
+  }
+
+  getLandingTime() {
+    const physics = this.physics;
+    const velocity = this.state.verticalVelocity;
+    const height = Math.max(0, this.state.car.y - physics.CAR_GROUND_Y);
+    return (velocity + Math.sqrt(velocity * velocity + 2 * physics.GRAVITY * height)) / physics.GRAVITY;
+  }
+
+  // Whether a car at height `y` moving up at `velocity` is above the obstacle
+  // both when it reaches the car, `time` seconds from now, and when it has passed.
+  willClear(obstacle, time, y = this.state.car.y, velocity = this.state.verticalVelocity) {
+    const physics = this.physics;
+    const passed = time + (this.state.car.depth + obstacle.depth) / this.getClosingSpeed(obstacle);
+    const top = obstacle.y + obstacle.offsetY + obstacle.height / 2;
+    return [time, passed].every((t) => {
+      // Matches the simulation's fixed-step integration rather than the exact parabola.
+      const carY = y + velocity * t - (physics.GRAVITY * t * (t + this.STEP)) / 2;
+      return carY + physics.CAR_SIZE.offsetY - physics.CAR_SIZE.height / 2 > top;
+    });
+  }
+
+  // The latest take-off, up to JUMP_LEAD seconds before `enter`, that clears the obstacle.
+  getJumpLead(obstacle, enter) {
+    const physics = this.physics;
+    for (let lead = Math.min(this.JUMP_LEAD, enter - this.STEP); lead > 0; lead -= this.STEP) {
+      if (this.willClear(obstacle, lead, physics.CAR_GROUND_Y, physics.JUMP_VELOCITY)) return lead;
+    }
+    return null;
+  }
+
+  // Splits the look-ahead into steps and marks, per lane and step, whether
+  // the car can be there (`blocked`), whether it can move in (`noEntry`,
+  // while it has to be committed to a jump or a duck) and what it would collect.
+  getTimeline() {
+    const state = this.state;
+    const physics = this.physics;
+    const steps = Math.ceil(this.LOOKAHEAD / this.STEP);
+    const grid = (value) => [0, 1, 2].map(() => new Array(steps + 1).fill(value));
+    const timeline = { steps, blocked: grid(false), noEntry: grid(false), coins: grid(0) };
+    const mark = (cells, from, to, lane) => {
+      const last = Math.min(steps, Math.ceil(to / this.STEP));
+      for (let step = Math.max(0, Math.floor(from / this.STEP)); step <= last; step++) cells[lane][step] = true;
+    };
+
+    const jumpable = [[], [], []];
+    const duckable = [[], [], []];
+    for (const obstacle of state.obstacles) {
+      const { enter, exit } = this.getWindow(obstacle);
+      if (exit < 0 || enter > this.LOOKAHEAD) continue;
+      for (const lane of this.getOccupiedLanes(obstacle)) {
+        if (obstacle.clearance === "jump") {
+          jumpable[lane].push(obstacle);
+        } else if (obstacle.clearance === "duck") {
+          duckable[lane].push(obstacle);
+        } else {
+          mark(timeline.blocked, enter - this.SAFETY_MARGIN, exit + this.SAFETY_MARGIN, lane);
+        }
+      }
+    }
+
+    // Plan one jump per lane at a time, nearest obstacle first; anything the
+    // current jump won't clear and a new one can't reach blocks the lane.
+    for (const [lane, obstacles] of jumpable.entries()) {
+      let jump = null;
+      if (state.isJumping) jump = { start: 0, y: state.car.y, velocity: state.verticalVelocity, land: this.getLandingTime() };
+      for (const obstacle of obstacles.sort((a, b) => b.z - a.z)) {
+        const { enter, exit } = this.getWindow(obstacle);
+        if (jump && this.willClear(obstacle, Math.max(0, enter - jump.start), jump.y, jump.velocity)) continue;
+        const lead = this.getJumpLead(obstacle, enter);
+        if (lead !== null && (!jump || enter - lead >= jump.land)) {
+          const start = enter - lead;
+          jump = { start, y: physics.CAR_GROUND_Y, velocity: physics.JUMP_VELOCITY, land: start + (2 * physics.JUMP_VELOCITY) / physics.GRAVITY };
+          mark(timeline.noEntry, start, exit, lane);
+        } else {
+          mark(timeline.blocked, enter - this.SAFETY_MARGIN, exit + this.SAFETY_MARGIN, lane);
+        }
+      }
+    }
+
+    // The car only gets under a sign ducking on the road. While it will still
+    // be in the air when the sign arrives, the lane is blocked and can't be
+    // passed through either; otherwise it is only closed to lane changes that
+    // would still be under way when the sign reaches the car.
+    const landingTime = state.isJumping ? this.getLandingTime() : 0;
+    const laneChangeTime = physics.LANE_CHANGE_DURATION / 1000;
+    for (const [lane, obstacles] of duckable.entries()) {
+      for (const obstacle of obstacles) {
+        const { enter, exit } = this.getWindow(obstacle);
+        const isAirborne = landingTime > enter - this.SAFETY_MARGIN;
+        if (isAirborne) mark(timeline.blocked, enter - this.SAFETY_MARGIN, exit + this.SAFETY_MARGIN, lane);
+        mark(timeline.noEntry, isAirborne ? 0 : enter - laneChangeTime, exit, lane);
+      }
+    }
+
+    for (const item of state.collectibles) {
+      const { enter } = this.getWindow(item);
+      if (enter < 0 || enter > this.LOOKAHEAD || !timeline.coins[item.lane]) continue;
+      timeline.coins[item.lane][Math.floor(enter / this.STEP)] += item.type === "pickup" ? this.PICKUP_VALUE : this.COIN_VALUE;
+    }
+    return timeline;
+  }
+
+  // Best-first sweep over (step, lane): staying put or starting a lane change,
+  // which takes several steps and must not clip a blocked cell on either
+  // side. Returns the lane to head for now, from the path that survives
+  // longest and, among those, collects the most.
+  search(timeline = this.getTimeline()) {
+    const lane = this.state.lane;
+    const steps = timeline.steps;
+    const laneChangeSteps = Math.ceil(this.physics.LANE_CHANGE_DURATION / 1000 / this.STEP);
+    const nodes = Array.from({ length: steps + 1 }, () => []);
+    const visit = (step, to, score, first) => {
+      const node = nodes[step][to];
+      if (!node || score > node.score) nodes[step][to] = { score, first };
+    };
+
+    visit(Math.min(steps, Math.ceil(this.getReachTime(lane) / this.STEP)), lane, 0, null);
+    let best = null;
+    for (let step = 0; step <= steps; step++) {
+      for (let from = 0; from <= 2; from++) {
+        const node = nodes[step][from];
+        if (!node) continue;
+        if (!best || step > best.step || (step === best.step && node.score > best.score)) {
+          best = { step, score: node.score, first: node.first };
+        }
+        if (step === steps) continue;
+
+        if (!timeline.blocked[from][step + 1]) visit(step + 1, from, node.score + timeline.coins[from][step + 1], node.first ?? lane);
+
+        for (const to of [from - 1, from + 1]) {
+          if (to < 0 || to > 2 || timeline.noEntry[to][step]) continue;
+          const end = Math.min(steps, step + laneChangeSteps);
+          // Later moves cost a little more, so the car commits early.
+          let score = node.score - this.MOVE_COST * (1 + step / steps);
+          let isClear = true;
+          for (let s = step; isClear && s <= end; s++) {
+            const leavingBlocked = s <= step + laneChangeSteps / 2 && timeline.blocked[from][s];
+            const enteringBlocked = s >= step + laneChangeSteps / 4 && timeline.blocked[to][s];
+            isClear = !leavingBlocked && !enteringBlocked;
+            score += timeline.coins[to][s];
+          }
+          if (isClear) visit(end, to, score, node.first ?? to);
+        }
+      }
+    }
+    return best.first ?? lane;
+  }
+
+  // Returns "jump", "duck", "left", "right" or null for the snapshot `state`.
+  plan(state) {
+    this.state = state;
+    const physics = this.physics;
+    for (const obstacle of state.obstacles) {
+      if (!obstacle.clearance) continue;
+      const { enter, exit } = this.getWindow(obstacle);
+      if (!this.isInPath(obstacle, enter)) continue;
+      if (
+        obstacle.clearance === "jump" &&
+        !state.isJumping &&
+        enter >= 0 &&
+        enter <= this.JUMP_LEAD &&
+        this.willClear(obstacle, enter, physics.CAR_GROUND_Y, physics.JUMP_VELOCITY)
+      ) {
+        return "jump";
+      }
+      if (obstacle.clearance === "duck" && exit >= 0 && enter <= this.DUCK_LEAD && !(state.isDucking && state.duckRemaining / 1000 > exit)) {
+        return "duck";
+      }
+    }
+    const target = this.search();
+    if (target === state.lane) return null;
+    return target < state.lane ? "left" : "right";
+  }
+}
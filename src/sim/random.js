@@ -0,0 +1,18 @@
+// mulberry32: a small, fast PRNG. Returns a function yielding floats in [0, 1).
+export function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Turns a ?seed= value into a 32-bit seed: digits are used as-is, anything
+// else is hashed with FNV-1a.
+export function hashSeed(value) {
+  if (/^\d+$/.test(value)) return Number(value) >>> 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+  return hash >>> 0;
+}
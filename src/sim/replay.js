@@ -0,0 +1,55 @@
+import { CUSTOM_DIFFICULTY_FIELDS, DIFFICULTIES } from "./difficulty.js";
+import { OBSTACLE_TYPES } from "./entities.js";
+import { MODES } from "./modes.js";
+
+// Bump whenever the simulation's output for the same seed and inputs changes.
+export const REPLAY_VERSION = 13;
+
+// Validates a replay file (or its parsed contents) and returns the replay.
+export function parseReplay(source) {
+  const replay = typeof source === "string" ? JSON.parse(source) : source;
+  if (!replay || !Number.isInteger(replay.version)) throw new Error("Invalid replay file");
+  if (replay.version < REPLAY_VERSION) throw new Error("This replay is from an older version of the game and can no longer be played.");
+  if (replay.version > REPLAY_VERSION) throw new Error("This replay is from a newer version of the game. Update to watch it.");
+  const isInput = (input) => Array.isArray(input) && Number.isInteger(input[0]) && input[0] >= 0 && typeof input[1] === "string";
+  if (
+    !Number.isInteger(replay.seed) ||
+    !(replay.inputBuffer >= 0) ||
+    !Number.isInteger(replay.track) ||
+    !Number.isInteger(replay.ticks) ||
+    !(replay.timestep > 0) ||
+    !Array.isArray(replay.inputs) ||
+    !replay.inputs.every(isInput) ||
+    (replay.mode !== undefined && !MODES.some((mode) => mode.id === replay.mode)) ||
+    (replay.difficulty !== undefined && !DIFFICULTIES.some((difficulty) => difficulty.id === replay.difficulty)) ||
+    (replay.difficulty === "custom") !== (replay.tuning !== undefined)
+  ) {
+    throw new Error("Invalid replay file");
+  }
+  // Replays from before modes and difficulties existed were all Endless runs on Normal.
+  return {
+    ...replay,
+    mode: replay.mode || MODES[0].id,
+    difficulty: replay.difficulty || "normal",
+    tuning: replay.tuning === undefined ? undefined : parseTuning(replay.tuning),
+  };
+}
+
+// Only the Custom difficulty fields and obstacle mix are copied, so a replay
+// cannot override any other simulation setting.
+function parseTuning(source) {
+  if (!source || typeof source !== "object") throw new Error("Invalid replay file");
+  const tuning = { OBSTACLE_MIX: {} };
+  for (const field of CUSTOM_DIFFICULTY_FIELDS) {
+    const value = source[field.key];
+    if (!(Number.isFinite(value) && value >= field.min && value <= field.max)) throw new Error("Invalid replay file");
+    tuning[field.key] = value;
+  }
+  for (const type of OBSTACLE_TYPES) {
+    const mix = source.OBSTACLE_MIX?.[type.id];
+    if (mix === undefined) continue;
+    if (!(Number.isFinite(mix) && mix >= 0)) throw new Error("Invalid replay file");
+    tuning.OBSTACLE_MIX[type.id] = mix;
+  }
+  return tuning;
+}
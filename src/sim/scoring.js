@@ -0,0 +1,15 @@
+// Score formulas: how many points one unit of each stat reported by
+// Simulation.getStats() is worth. Modes can bring their own (see modes.js).
+export const DEFAULT_SCORING = { distance: 1, coins: 10, nearMisses: 50, powerups: 100, speedTier: 100, comboBonus: 1 };
+
+// Weights `stats` by `formula`, rounding each term. Stats the formula does not
+// mention are ignored and missing stats count as zero.
+export function computeScore(stats, formula = DEFAULT_SCORING) {
+  const breakdown = {};
+  let total = 0;
+  for (const stat in formula) {
+    breakdown[stat] = Math.round((stats[stat] || 0) * formula[stat]);
+    total += breakdown[stat];
+  }
+  return { total, breakdown };
+}
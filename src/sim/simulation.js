@@ -0,0 +1,933 @@
+import { CUSTOM_DIFFICULTY_FIELDS } from "./difficulty.js";
+import { OBSTACLE_TYPES, PICKUP_TYPES, POWERUP_TYPES } from "./entities.js";
+import { Planner } from "./planner.js";
+import { createRandom, hashSeed } from "./random.js";
+import { REPLAY_VERSION } from "./replay.js";
+
+// Gameplay rules on plain data. Entities are { type, x, y, z, width, height,
+// depth } boxes centred on their position; the view mirrors them into the scene.
+export class Simulation {
+  constructor(settings = {}) {
+    this.LANE_WIDTH = 4;
+    this.LANE_POSITIONS = [-4, 0, 4];
+    this.START_SPEED = 15;
+    this.MAX_SPEED = 50;
+    this.SPEED_INCREMENT = 2;
+    this.SPEED_INCREASE_INTERVAL = 7000;
+    this.ROAD_LENGTH = 1000;
+    this.ROAD_SEGMENTS = 3;
+    this.START_SPAWN_INTERVAL = 3000;
+    this.MIN_SPAWN_INTERVAL = 1500;
+    this.SPAWN_INTERVAL_DECREMENT = 100;
+    this.OBSTACLE_SPEED_MULTIPLIER = 1.5;
+    this.COIN_SPAWN_INTERVAL = 500;
+    this.LANE_CHANGE_DURATION = 100;
+    this.INPUT_BUFFER_WINDOW = 150;
+    this.LANE_CHAIN_THRESHOLD = 0.5;
+    this.COIN_SPIN_SPEED = 1.2;
+    this.SPAWN_DISTANCE = 100;
+    this.DESPAWN_DISTANCE = 20;
+    this.CAR_SIZE = { width: 2.8, height: 1.3, depth: 4, offsetY: -0.15 };
+    this.COIN_SIZE = { width: 1, height: 1, depth: 1 };
+    this.OBSTACLE_TYPES = OBSTACLE_TYPES;
+    // Spawn weight multipliers by obstacle type id; unlisted types keep 1.
+    this.OBSTACLE_MIX = {};
+    this.CHUNKS = [];
+    this.CHUNK_ATTEMPTS = 5;
+    this.MIN_CHUNK_GAP = 10;
+    this.START_RUNWAY = 80;
+    this.TIER_DISTANCE = 300;
+    this.MAX_TIER = 3;
+    this.SCENERY_X = 11;
+    this.POWERUP_SIZE = { width: 1.2, height: 1.2, depth: 1.2 };
+    this.POWERUP_TYPES = POWERUP_TYPES;
+    this.POWERUP_CHANCE = 0.15;
+    this.POWERUP_SPIN_SPEED = 2;
+    this.MAGNET_RANGE = 6;
+    this.MAGNET_DISTANCE = 15;
+    this.MAGNET_PULL = 10;
+    this.SPEED_SCALE_RATE = 4;
+    this.AUTOPILOT_WARNING = 2000;
+    this.PICKUP_TYPES = PICKUP_TYPES;
+    // A hit that doesn't end the run leaves the car untouchable for
+    // INVULNERABILITY_DURATION ms and cuts the world's speed to KNOCKBACK_SPEED_SCALE.
+    this.MAX_HEALTH = 3;
+    this.INVULNERABILITY_DURATION = 1500;
+    this.KNOCKBACK_SPEED_SCALE = 0.3;
+    // An obstacle passing within NEAR_MISS_DISTANCE of the car's side is a
+    // near miss. Near misses and coins feed the combo; every COMBO_STEP
+    // points raise the multiplier by one. With no new points for COMBO_WINDOW
+    // ms it drops a level every COMBO_DECAY_INTERVAL ms.
+    this.NEAR_MISS_DISTANCE = 1.5;
+    this.NEAR_MISS_SCORE = 50;
+    this.NEAR_MISS_COMBO = 4;
+    this.COIN_SCORE = 10;
+    this.COMBO_STEP = 10;
+    this.COMBO_MAX_MULTIPLIER = 5;
+    this.COMBO_WINDOW = 3000;
+    this.COMBO_DECAY_INTERVAL = 1000;
+    // Battery points drained per metre at START_SPEED; at MAX_SPEED the drain
+    // is (1 + BATTERY_SPEED_DRAIN) times that.
+    this.BATTERY_CAPACITY = 100;
+    this.BATTERY_DRAIN = 0.04;
+    this.BATTERY_SPEED_DRAIN = 0.5;
+    this.BATTERY_LOW = 20;
+    this.CAR_GROUND_Y = 0.5;
+    this.JUMP_VELOCITY = 12;
+    this.GRAVITY = 35;
+    this.DUCK_DURATION = 600;
+    this.DUCK_HEIGHT = 0.65;
+    this.TIME_LIMIT = 0;
+    this.mode = "endless";
+    this.difficulty = "normal";
+    this.seed = (Math.random() * 4294967296) >>> 0;
+    this.createRandom = createRandom;
+    Object.assign(this, settings);
+    this.reset();
+  }
+
+  // Every random decision goes through this.random, so the same seed and
+  // inputs always give the same run.
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    this.random = this.createRandom(this.seed);
+    this.simulationTime = 0;
+    this.isGameStarted = false;
+    this.gameOver = false;
+    this.endReason = null;
+    this.speed = this.START_SPEED;
+    this.lastSpeedIncrease = 0;
+    this.totalDistance = 0;
+    this.obstacleSpawnInterval = this.START_SPAWN_INTERVAL;
+    this.trackEnd = -this.START_RUNWAY;
+    this.coinCount = 0;
+    this.currentLane = 1;
+    this.isMoving = false;
+    this.laneChange = null;
+    this.inputQueue = [];
+    this.verticalVelocity = 0;
+    this.isJumping = false;
+    this.isDucking = false;
+    this.duckRemaining = 0;
+    this.car = this.createEntity("car", this.LANE_POSITIONS[1], this.CAR_GROUND_Y, 0, this.CAR_SIZE);
+    this.obstacles = [];
+    this.coins = [];
+    this.scenery = [];
+    this.powerups = [];
+    this.pickups = [];
+    this.health = this.MAX_HEALTH;
+    this.invulnerable = 0;
+    this.combo = 0;
+    this.comboTimer = 0;
+    this.comboBonus = 0;
+    this.nearMisses = 0;
+    this.powerupsCollected = 0;
+    this.battery = this.BATTERY_CAPACITY;
+    this.batteryLow = false;
+    this.effects = {};
+    this.speedScale = 1;
+    this.autopilotWarned = false;
+    this.planner = new Planner({
+      LANE_POSITIONS: this.LANE_POSITIONS,
+      LANE_WIDTH: this.LANE_WIDTH,
+      LANE_CHANGE_DURATION: this.LANE_CHANGE_DURATION,
+      CAR_GROUND_Y: this.CAR_GROUND_Y,
+      CAR_SIZE: this.CAR_SIZE,
+      JUMP_VELOCITY: this.JUMP_VELOCITY,
+      GRAVITY: this.GRAVITY,
+    });
+    this.roadSegments = Array.from({ length: this.ROAD_SEGMENTS }, (_, i) => ({ z: -(i * this.ROAD_LENGTH) }));
+    this.events = [];
+    this.tick = 0;
+    this.inputs = [];
+  }
+
+  createEntity(type, x, y, z, size) {
+    return { type, x, y, z, prevX: x, prevY: y, prevZ: z, offsetY: 0, ...size };
+  }
+
+  intersects(a, b) {
+    return (
+      Math.abs(a.x - b.x) * 2 <= a.width + b.width &&
+      Math.abs(a.y + a.offsetY - b.y - b.offsetY) * 2 <= a.height + b.height &&
+      Math.abs(a.z - b.z) * 2 <= a.depth + b.depth
+    );
+  }
+
+  // A lane change can start from mid-tween: reversing is always allowed, and a
+  // second move the same way chains on once the first is far enough along.
+  // The tween's duration scales with the distance left to cover.
+  moveLane(direction) {
+    const laneChange = this.laneChange;
+    const targetLane = this.currentLane + direction;
+    if (targetLane < 0 || targetLane > 2) return false;
+    if (
+      laneChange &&
+      Math.sign(laneChange.to - laneChange.from) === direction &&
+      laneChange.elapsed < laneChange.duration * this.LANE_CHAIN_THRESHOLD
+    ) {
+      return false;
+    }
+    const to = this.LANE_POSITIONS[targetLane];
+    this.isMoving = true;
+    this.currentLane = targetLane;
+    this.laneChange = {
+      from: this.car.x,
+      to,
+      elapsed: 0,
+      duration: (this.LANE_CHANGE_DURATION * Math.abs(to - this.car.x)) / this.LANE_WIDTH,
+    };
+    this.events.push({ type: "lane" });
+    return true;
+  }
+
+  // Presses wait in the queue until they can chain, and are dropped once they
+  // are older than the buffer window or would leave the road.
+  processInputQueue() {
+    const oldest = this.simulationTime - this.INPUT_BUFFER_WINDOW;
+    while (this.inputQueue.length) {
+      const input = this.inputQueue[0];
+      const targetLane = this.currentLane + input.direction;
+      if (input.time >= oldest && targetLane >= 0 && targetLane <= 2 && !this.moveLane(input.direction)) break;
+      this.inputQueue.shift();
+    }
+  }
+
+  jump() {
+    if (this.isJumping) return false;
+    this.isJumping = true;
+    this.verticalVelocity = this.JUMP_VELOCITY;
+    this.duckRemaining = 0;
+    this.setDucking(false);
+    this.events.push({ type: "jump" });
+    return true;
+  }
+
+  // Ducking in mid-air slams the car back down; it ducks once it lands if the
+  // duck is still held.
+  duck() {
+    this.duckRemaining = this.DUCK_DURATION;
+    if (this.isJumping) {
+      this.verticalVelocity = Math.min(this.verticalVelocity, -this.JUMP_VELOCITY);
+    } else {
+      this.setDucking(true);
+    }
+    return true;
+  }
+
+  // A ducking car keeps its wheels on the road: the hitbox shrinks from the top.
+  setDucking(isDucking) {
+    this.isDucking = isDucking;
+    this.car.height = isDucking ? this.DUCK_HEIGHT : this.CAR_SIZE.height;
+    this.car.offsetY = this.CAR_SIZE.offsetY - (this.CAR_SIZE.height - this.car.height) / 2;
+  }
+
+  updateVertical(dt) {
+    if (this.isJumping) {
+      this.verticalVelocity -= this.GRAVITY * dt;
+      this.car.y += this.verticalVelocity * dt;
+      if (this.car.y <= this.CAR_GROUND_Y) {
+        this.car.y = this.CAR_GROUND_Y;
+        this.verticalVelocity = 0;
+        this.isJumping = false;
+      }
+    }
+    this.duckRemaining = Math.max(0, this.duckRemaining - dt * 1000);
+    this.setDucking(!this.isJumping && this.duckRemaining > 0);
+  }
+
+  // Player inputs go through here so they are recorded, tick-stamped, for replays.
+  applyInput(input) {
+    if (this.hasEffect("autopilot")) return false;
+    this.inputs.push([this.tick, input]);
+    switch (input) {
+      case "left":
+      case "right":
+        this.inputQueue.push({ direction: input === "left" ? -1 : 1, time: this.simulationTime });
+        this.processInputQueue();
+        return true;
+      case "jump":
+        return this.jump();
+      case "duck":
+        return this.duck();
+    }
+    return false;
+  }
+
+  getReplay() {
+    return {
+      version: REPLAY_VERSION,
+      mode: this.mode,
+      difficulty: this.difficulty,
+      seed: this.seed,
+      inputBuffer: this.INPUT_BUFFER_WINDOW,
+      track: this.getTrackId(),
+      ticks: this.tick,
+      inputs: this.inputs.slice(),
+      ...(this.difficulty === "custom" && { tuning: this.getTuning() }),
+    };
+  }
+
+  // A Custom run's settings, which the replay has to carry to be played back.
+  getTuning() {
+    const tuning = { OBSTACLE_MIX: { ...this.OBSTACLE_MIX } };
+    for (const field of CUSTOM_DIFFICULTY_FIELDS) tuning[field.key] = this[field.key];
+    return tuning;
+  }
+
+  // Replays only play back against the chunks they were recorded with.
+  getTrackId() {
+    return hashSeed(JSON.stringify(this.CHUNKS));
+  }
+
+  updateLaneChange(dt) {
+    const laneChange = this.laneChange;
+    if (!laneChange) return;
+    laneChange.elapsed += dt * 1000;
+    const progress = laneChange.duration > 0 ? Math.min(laneChange.elapsed / laneChange.duration, 1) : 1;
+    const eased = progress * (2 - progress);
+    this.car.x = laneChange.from + (laneChange.to - laneChange.from) * eased;
+    if (progress >= 1) {
+      this.car.x = laneChange.to;
+      this.isMoving = false;
+      this.laneChange = null;
+    }
+  }
+
+  updateSpeed() {
+    const now = this.simulationTime;
+    if (now - this.lastSpeedIncrease < this.SPEED_INCREASE_INTERVAL) return;
+    if (this.speed < this.MAX_SPEED) {
+      this.speed = Math.min(this.MAX_SPEED, this.speed + this.SPEED_INCREMENT);
+      this.obstacleSpawnInterval = Math.max(this.MIN_SPAWN_INTERVAL, this.obstacleSpawnInterval - this.SPAWN_INTERVAL_DECREMENT);
+    }
+    this.lastSpeedIncrease = now;
+  }
+
+  updateRoad(dt) {
+    this.totalDistance += this.speed * dt;
+    for (const segment of this.roadSegments) {
+      if (segment.z > this.car.z + this.ROAD_LENGTH) {
+        segment.z = Math.min(...this.roadSegments.map((other) => other.z)) - this.ROAD_LENGTH;
+      }
+    }
+  }
+
+  // Keeps the track built out to the spawn distance ahead of the car.
+  streamTrack() {
+    this.obstacles = this.obstacles.filter((obstacle) => obstacle.z <= this.car.z + this.DESPAWN_DISTANCE);
+    this.scenery = this.scenery.filter((item) => item.z <= this.car.z + this.DESPAWN_DISTANCE);
+    this.powerups = this.powerups.filter((powerup) => powerup.z <= this.car.z + this.DESPAWN_DISTANCE);
+    this.pickups = this.pickups.filter((pickup) => pickup.z <= this.car.z + this.DESPAWN_DISTANCE);
+    while (this.trackEnd > this.car.z - this.SPAWN_DISTANCE) this.appendChunk();
+  }
+
+  getTier() {
+    return Math.min(this.MAX_TIER, Math.floor(this.totalDistance / this.TIER_DISTANCE));
+  }
+
+  // Adds one chunk from the unlocked tiers (favouring the newest), retrying
+  // with another if it would leave the car no way through, then a gap paced by
+  // the spawn interval, filled with coins and sometimes a power-up.
+  appendChunk() {
+    const tier = this.getTier();
+    const candidates = this.CHUNKS.filter((chunk) => chunk.tier <= tier);
+    let length = 0;
+    for (let attempt = 0; attempt < this.CHUNK_ATTEMPTS; attempt++) {
+      const chunk = this.pickWeighted(candidates, (candidate) => candidate.weight * (candidate.tier === tier ? 2 : 1) * this.getChunkMix(candidate));
+      if (!chunk) break;
+      const built = this.buildChunk(chunk, this.trackEnd);
+      if (this.isPassable([...this.obstacles, ...built.obstacles])) {
+        this.obstacles.push(...built.obstacles);
+        this.coins.push(...built.coins);
+        this.scenery.push(...built.scenery);
+        this.powerups.push(...built.powerups);
+        length = chunk.length;
+        break;
+      }
+      candidates.splice(candidates.indexOf(chunk), 1);
+    }
+    this.trackEnd -= length;
+
+    const gap = Math.max(this.MIN_CHUNK_GAP, (2 * this.speed * this.obstacleSpawnInterval) / 1000 - length);
+    const coinSpacing = (2 * this.speed * this.COIN_SPAWN_INTERVAL) / 1000;
+    if (this.random() < this.POWERUP_CHANCE) {
+      const type = this.pickWeighted(this.POWERUP_TYPES);
+      if (type) this.powerups.push(this.createPowerup(type, Math.floor(this.random() * 3), this.trackEnd - gap / 2));
+    }
+    for (let offset = coinSpacing / 2; offset < gap; offset += coinSpacing) this.spawnCoin(this.trackEnd - offset);
+    this.trackEnd -= gap;
+  }
+
+  // Places a chunk starting at `start`, mirrored left-to-right at random.
+  buildChunk(chunk, start) {
+    const mirrored = this.random() < 0.5;
+    const built = { obstacles: [], coins: [], scenery: [], powerups: [] };
+    for (const placement of chunk.obstacles) {
+      let type;
+      if (placement.type === "any") {
+        type = this.pickWeighted(this.OBSTACLE_TYPES, (candidate) => this.getSpawnWeight(candidate) * this.getObstacleMix(candidate.id));
+      } else {
+        type = this.OBSTACLE_TYPES.find((candidate) => candidate.id === placement.type);
+      }
+      if (!type) continue;
+      const z = start - placement.offset;
+      if (placement.lane !== "any") {
+        const lastLane = this.getObstacleLanes(type, [0, 1, 2]).at(-1);
+        built.obstacles.push(this.createObstacle(type, Math.min(Math.max(mirrored ? lastLane - placement.lane : placement.lane, 0), lastLane), z));
+        continue;
+      }
+      const lanes = this.getFreeLanes(type, z, [...this.obstacles, ...built.obstacles]);
+      if (lanes.length) built.obstacles.push(this.createObstacle(type, lanes[Math.floor(this.random() * lanes.length)], z));
+    }
+    for (const line of chunk.coins) {
+      let lane = line.lane;
+      if (lane === "any") {
+        lane = Math.floor(this.random() * 3);
+      } else if (mirrored) {
+        lane = 2 - lane;
+      }
+      for (let i = 0; i < line.count; i++) built.coins.push(this.createCoin(lane, start - line.offset - i * line.spacing));
+    }
+    for (const item of chunk.scenery) {
+      const x = (item.side === "left") !== mirrored ? -this.SCENERY_X : this.SCENERY_X;
+      built.scenery.push(this.createScenery(item.type, x, start - item.offset));
+    }
+    for (const placement of chunk.powerups) {
+      const type = placement.type === "any" ? this.pickWeighted(this.POWERUP_TYPES) : this.getPowerupType(placement.type);
+      if (!type) continue;
+      let lane = placement.lane;
+      if (lane === "any") {
+        lane = Math.floor(this.random() * 3);
+      } else if (mirrored) {
+        lane = 2 - lane;
+      }
+      built.powerups.push(this.createPowerup(type, lane, start - placement.offset));
+    }
+    return built;
+  }
+
+  // Checks that some sequence of lane changes, jumps and ducks gets the car
+  // past `obstacles`. Each obstacle occupies its lanes for a window of time;
+  // windows too close together to land in between are merged, and whatever
+  // can't be jumped or ducked blocks its lane. The car then has to reach a
+  // free lane before each blocker arrives.
+  isPassable(obstacles) {
+    const windows = [[], [], []];
+    const blockers = [];
+    for (const obstacle of obstacles) {
+      const halfDepth = (this.car.depth + obstacle.depth) / 2;
+      const closingSpeed = 2 * this.speed + (obstacle.spec.rollSpeed || 0);
+      const top = obstacle.y + obstacle.offsetY + obstacle.height / 2;
+      const window = {
+        enter: Math.max(0, (this.car.z - obstacle.z - halfDepth) / closingSpeed),
+        exit: (this.car.z - obstacle.z + halfDepth) / closingSpeed,
+        clearance: obstacle.spec.clearance,
+        top,
+        rise: obstacle.spec.clearance === "jump" ? (this.getJumpClearance(top)?.rise ?? Infinity) : 0,
+      };
+      if (window.exit <= 0) continue;
+      // A swerver that hasn't picked its new lane yet could end up in either neighbour.
+      const lanes = obstacle.spec.behaviour === "swerve" && obstacle.targetX === null ? [obstacle.lane - 1, obstacle.lane, obstacle.lane + 1] : obstacle.lanes;
+      for (const lane of lanes) windows[lane]?.push(window);
+    }
+
+    for (const [lane, laneWindows] of windows.entries()) {
+      let current = null;
+      for (const window of laneWindows.sort((a, b) => a.enter - b.enter)) {
+        if (current && window.enter < current.exit + current.rise + window.rise) {
+          current = {
+            enter: current.enter,
+            exit: Math.max(current.exit, window.exit),
+            clearance: current.clearance === window.clearance ? current.clearance : undefined,
+            top: Math.max(current.top, window.top),
+            rise: Math.max(current.rise, window.rise),
+          };
+          continue;
+        }
+        if (current && !this.canClear(current)) blockers.push({ ...current, lane });
+        current = window;
+      }
+      if (current && !this.canClear(current)) blockers.push({ ...current, lane });
+    }
+
+    let reachable = [this.currentLane];
+    let time = 0;
+    for (const blocker of blockers.sort((a, b) => a.enter - b.enter)) {
+      const moves = Math.floor(((blocker.enter - time) * 1000) / this.LANE_CHANGE_DURATION);
+      const blocked = blockers.filter((other) => other.enter <= blocker.enter && other.exit > blocker.enter).map((other) => other.lane);
+      reachable = [0, 1, 2].filter((lane) => !blocked.includes(lane) && reachable.some((from) => Math.abs(from - lane) <= moves));
+      if (reachable.length === 0) return false;
+      time = blocker.enter;
+    }
+    return true;
+  }
+
+  canClear(window) {
+    if (window.clearance === "duck") return true;
+    return window.clearance === "jump" && window.exit - window.enter <= (this.getJumpClearance(window.top)?.duration ?? -1);
+  }
+
+  // How long after take-off the car's underside rises above `top`, and for
+  // how long it stays there; null if a jump never gets that high.
+  getJumpClearance(top) {
+    const height = top - this.CAR_GROUND_Y - this.CAR_SIZE.offsetY + this.CAR_SIZE.height / 2;
+    const discriminant = this.JUMP_VELOCITY ** 2 - 2 * this.GRAVITY * height;
+    if (discriminant < 0) return null;
+    return {
+      rise: (this.JUMP_VELOCITY - Math.sqrt(discriminant)) / this.GRAVITY,
+      duration: (2 * Math.sqrt(discriminant)) / this.GRAVITY,
+    };
+  }
+
+  // Picks one of `items` at random in proportion to its weight, which defaults
+  // to an obstacle type's current spawn weight.
+  pickWeighted(items, getWeight = (type) => this.getSpawnWeight(type)) {
+    const weighted = items.map((item) => [item, getWeight(item)]).filter(([, weight]) => weight > 0);
+    if (weighted.length === 0) return null;
+    let roll = this.random() * weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    const picked = weighted.find(([, weight]) => {
+      roll -= weight;
+      return roll < 0;
+    });
+    return (picked || weighted[weighted.length - 1])[0];
+  }
+
+  getSpawnWeight(type) {
+    const weight = type.weight;
+    if (this.totalDistance < (weight.minDistance || 0)) return 0;
+    return Math.max(0, weight.base + (weight.perSpeed || 0) * (this.speed - this.START_SPEED));
+  }
+
+  getObstacleMix(id) {
+    return this.OBSTACLE_MIX[id] ?? 1;
+  }
+
+  // A chunk is as likely as the mix allows each obstacle it names, so a mix
+  // of 0 keeps a type off the road entirely.
+  getChunkMix(chunk) {
+    let mix = 1;
+    for (const placement of chunk.obstacles) {
+      if (placement.type !== "any") mix *= this.getObstacleMix(placement.type);
+    }
+    return mix;
+  }
+
+  // The lanes a type can be placed in (by its leftmost lane) out of `lanes`.
+  getObstacleLanes(type, lanes) {
+    if (type.lanes !== 2) return lanes;
+    return lanes.filter((lane) => lanes.includes(lane + 1));
+  }
+
+  // Lanes where an obstacle of `type` at `z` would not overlap any of `obstacles`.
+  getFreeLanes(type, z, obstacles) {
+    const lanes = [0, 1, 2].filter(
+      (lane) => !obstacles.some((other) => other.lanes.includes(lane) && Math.abs(other.z - z) < (other.depth + type.hitbox.depth) / 2),
+    );
+    return this.getObstacleLanes(type, lanes);
+  }
+
+  createObstacle(type, lane, z = this.car.z - this.SPAWN_DISTANCE) {
+    const lanes = type.lanes === 2 ? [lane, lane + 1] : [lane];
+    const x = lanes.reduce((sum, index) => sum + this.LANE_POSITIONS[index], 0) / lanes.length;
+    const obstacle = this.createEntity("obstacle", x, type.y, z, type.hitbox);
+    return Object.assign(obstacle, { kind: type.id, spec: type, lane, lanes, spin: 0, targetX: null });
+  }
+
+  // Barrels roll towards the car; swervers pick a neighbouring lane once the
+  // car is close and slide into it.
+  updateObstacle(obstacle, dt) {
+    const type = obstacle.spec;
+    obstacle.z += this.speed * dt;
+    switch (type.behaviour) {
+      case "roll":
+        obstacle.z += type.rollSpeed * dt;
+        obstacle.spin += ((this.speed + type.rollSpeed) * dt) / (type.hitbox.height / 2);
+        break;
+      case "swerve":
+        if (obstacle.targetX === null && this.car.z - obstacle.z < type.swerveDistance) {
+          const lanes = [obstacle.lane - 1, obstacle.lane + 1].filter((lane) => lane >= 0 && lane <= 2);
+          obstacle.lane = lanes[Math.floor(this.random() * lanes.length)];
+          obstacle.lanes = [obstacle.lane];
+          obstacle.targetX = this.LANE_POSITIONS[obstacle.lane];
+        }
+        if (obstacle.targetX !== null) {
+          const distance = obstacle.targetX - obstacle.x;
+          obstacle.x += Math.sign(distance) * Math.min(Math.abs(distance), type.swerveSpeed * dt);
+        }
+        break;
+    }
+  }
+
+  spawnCoin(z) {
+    const count = this.random() < 0.3 ? 2 : 1;
+    const availableLanes = [0, 1, 2];
+    for (let i = 0; i < count && availableLanes.length !== 0; i++) {
+      const index = Math.floor(this.random() * availableLanes.length);
+      const lane = availableLanes[index];
+      availableLanes.splice(index, 1);
+      this.coins.push(this.createCoin(lane, z + (this.random() * 10 - 5)));
+    }
+    // Now and then a pickup takes one of the lanes left free.
+    for (const type of this.PICKUP_TYPES) {
+      if (availableLanes.length && this.canUsePickup(type) && this.random() < type.chance) {
+        const index = Math.floor(this.random() * availableLanes.length);
+        this.pickups.push(this.createPickup(type, availableLanes[index], z));
+        availableLanes.splice(index, 1);
+      }
+    }
+  }
+
+  // Repair kits are pointless with a single life, chargers without a battery.
+  canUsePickup(type) {
+    return (!type.heal || this.MAX_HEALTH > 1) && (!type.charge || this.BATTERY_CAPACITY > 0);
+  }
+
+  createCoin(lane, z) {
+    const coin = this.createEntity("coin", this.LANE_POSITIONS[lane], 1, z, this.COIN_SIZE);
+    coin.lane = lane;
+    coin.spin = 0;
+    return coin;
+  }
+
+  createScenery(kind, x, z) {
+    const item = this.createEntity("scenery", x, 0, z, { width: 0, height: 0, depth: 0 });
+    item.kind = kind;
+    item.spin = 0;
+    return item;
+  }
+
+  createPickup(type, lane, z) {
+    const pickup = this.createEntity("pickup", this.LANE_POSITIONS[lane], type.y, z, type.hitbox);
+    return Object.assign(pickup, { kind: type.id, spec: type, lane, spin: 0 });
+  }
+
+  createPowerup(type, lane, z) {
+    const powerup = this.createEntity("powerup", this.LANE_POSITIONS[lane], 1.2, z, this.POWERUP_SIZE);
+    return Object.assign(powerup, { kind: type.id, lane, spin: 0 });
+  }
+
+  getPowerupType(id) {
+    return this.POWERUP_TYPES.find((type) => type.id === id);
+  }
+
+  hasEffect(id) {
+    return this.effects[id] > 0;
+  }
+
+  activatePowerup(id) {
+    const type = this.getPowerupType(id);
+    if (!type) return;
+    this.effects[id] = type.duration;
+    // The autopilot drops whatever the player had buffered.
+    if (id === "autopilot") {
+      this.inputQueue = [];
+      this.autopilotWarned = false;
+    }
+    this.events.push({ type: "powerup", powerup: id });
+  }
+
+  // What the planner gets to see: plain numbers, no references into the simulation.
+  getPlannerState() {
+    const car = this.car;
+    return {
+      car: { x: car.x, y: car.y, z: car.z, width: car.width, depth: car.depth },
+      lane: this.currentLane,
+      speed: this.speed,
+      speedScale: this.speedScale,
+      verticalVelocity: this.verticalVelocity,
+      isJumping: this.isJumping,
+      isDucking: this.isDucking,
+      duckRemaining: this.duckRemaining,
+      obstacles: this.obstacles.map((obstacle) => ({
+        x: obstacle.x,
+        y: obstacle.y,
+        z: obstacle.z,
+        offsetY: obstacle.offsetY,
+        width: obstacle.width,
+        height: obstacle.height,
+        depth: obstacle.depth,
+        lane: obstacle.lane,
+        targetX: obstacle.targetX,
+        clearance: obstacle.spec.clearance,
+        behaviour: obstacle.spec.behaviour,
+        rollSpeed: obstacle.spec.rollSpeed || 0,
+      })),
+      collectibles: [...this.coins, ...this.pickups].map((item) => ({ type: item.type, lane: item.lane, z: item.z, depth: item.depth })),
+    };
+  }
+
+  // Steers for the player while the autopilot is active, warning once
+  // AUTOPILOT_WARNING ms before it hands control back.
+  updateAutopilot() {
+    const remaining = this.effects.autopilot;
+    if (!(remaining > 0)) return;
+    if (remaining <= this.AUTOPILOT_WARNING && !this.autopilotWarned) {
+      this.autopilotWarned = true;
+      this.events.push({ type: "autopilotWarning" });
+    }
+    switch (this.planner.plan(this.getPlannerState())) {
+      case "left":
+        this.moveLane(-1);
+        break;
+      case "right":
+        this.moveLane(1);
+        break;
+      case "jump":
+        this.jump();
+        break;
+      case "duck":
+        this.duck();
+        break;
+    }
+  }
+
+  // Counts effects down and eases speedScale towards the product of the
+  // active effects' scales, so slow motion fades in and out.
+  updateEffects(dt) {
+    for (const id in this.effects) {
+      this.effects[id] -= dt * 1000;
+      if (this.effects[id] <= 0) {
+        delete this.effects[id];
+        this.events.push({ type: "powerupEnd", powerup: id });
+      }
+    }
+    const target = Object.keys(this.effects).reduce((scale, id) => scale * (this.getPowerupType(id)?.speedScale ?? 1), 1);
+    this.speedScale += (target - this.speedScale) * Math.min(1, this.SPEED_SCALE_RATE * dt);
+  }
+
+  // Drains the battery for `distance` metres driven, faster the closer the
+  // car is to MAX_SPEED, and ends the run when it runs flat.
+  updateBattery(distance) {
+    if (!(this.BATTERY_CAPACITY > 0) || this.gameOver) return;
+    const speedFactor = (this.speed - this.START_SPEED) / Math.max(1, this.MAX_SPEED - this.START_SPEED);
+    this.battery = Math.max(0, this.battery - distance * this.BATTERY_DRAIN * (1 + this.BATTERY_SPEED_DRAIN * speedFactor));
+    const isLow = this.battery <= this.BATTERY_LOW;
+    if (isLow && !this.batteryLow) this.events.push({ type: "batteryLow" });
+    this.batteryLow = isLow;
+    if (this.battery === 0) {
+      this.gameOver = true;
+      this.endReason = "battery";
+      this.events.push({ type: "batteryEmpty" });
+    }
+  }
+
+  charge(amount) {
+    this.battery = Math.min(this.BATTERY_CAPACITY, this.battery + amount);
+    this.batteryLow = this.battery <= this.BATTERY_LOW;
+  }
+
+  // A hit costs one health and knocks the obstacle away; the run ends at zero.
+  checkCollisions() {
+    if (this.gameOver) return false;
+    for (const obstacle of this.obstacles) {
+      if (this.intersects(this.car, obstacle)) {
+        if (this.invulnerable > 0) return false;
+        // A shield is used up by the hit and knocks the obstacle away.
+        if (this.hasEffect("shield")) {
+          delete this.effects.shield;
+          this.obstacles.splice(this.obstacles.indexOf(obstacle), 1);
+          this.events.push({ type: "shieldHit", obstacle });
+          return false;
+        }
+        this.health = Math.max(0, this.health - 1);
+        if (this.health === 0) {
+          this.gameOver = true;
+          this.endReason = "crash";
+          this.breakCombo();
+          this.events.push({ type: "crash", obstacle });
+          return true;
+        }
+        this.breakCombo();
+        this.obstacles.splice(this.obstacles.indexOf(obstacle), 1);
+        this.invulnerable = this.INVULNERABILITY_DURATION;
+        this.speedScale = Math.min(this.speedScale, this.KNOCKBACK_SPEED_SCALE);
+        this.events.push({ type: "hit", obstacle, health: this.health });
+        return false;
+      }
+    }
+    return false;
+  }
+
+  // The magnet pulls nearby coins within range, including from other lanes, towards the car.
+  checkCoinCollisions(dt = 0) {
+    const hasMagnet = this.hasEffect("magnet");
+    const value = this.hasEffect("doubleCoins") ? 2 : 1;
+    const pull = Math.min(1, this.MAGNET_PULL * dt);
+    this.coins = this.coins.filter((coin) => {
+      if (coin.z > this.car.z + this.DESPAWN_DISTANCE) return false;
+      if (hasMagnet && this.car.z - coin.z < this.MAGNET_DISTANCE && Math.abs(coin.x - this.car.x) <= this.MAGNET_RANGE) {
+        coin.x += (this.car.x - coin.x) * pull;
+        coin.y += (this.car.y - coin.y) * pull;
+        coin.z += (this.car.z - coin.z) * pull;
+      }
+      if (!this.intersects(this.car, coin)) return true;
+      this.coinCount += value;
+      this.addCombo(1);
+      this.comboBonus += this.COIN_SCORE * value * (this.getComboMultiplier() - 1);
+      this.events.push({ type: "coin", coin, value });
+      return false;
+    });
+  }
+
+  // Tracks each obstacle's smallest side gap while it is level with the car
+  // and scores a near miss once it has gone past without touching.
+  checkNearMisses() {
+    for (const obstacle of this.obstacles) {
+      if (obstacle.passed) continue;
+      const halfDepth = (this.car.depth + obstacle.depth) / 2;
+      if (obstacle.z - this.car.z > halfDepth) {
+        obstacle.passed = true;
+        if (obstacle.closestGap > 0 && obstacle.closestGap <= this.NEAR_MISS_DISTANCE) this.registerNearMiss(obstacle);
+        continue;
+      }
+      if (this.car.z - obstacle.z <= halfDepth) {
+        const gap = Math.abs(obstacle.x - this.car.x) - (this.car.width + obstacle.width) / 2;
+        obstacle.closestGap = Math.min(obstacle.closestGap ?? Infinity, gap);
+      }
+    }
+  }
+
+  // The base NEAR_MISS_SCORE is scored through the nearMisses stat, so like a
+  // coin only the multiplier's extra goes into comboBonus.
+  registerNearMiss(obstacle) {
+    this.nearMisses++;
+    this.addCombo(this.NEAR_MISS_COMBO);
+    const multiplier = this.getComboMultiplier();
+    this.comboBonus += this.NEAR_MISS_SCORE * (multiplier - 1);
+    this.events.push({ type: "nearMiss", obstacle, multiplier, points: this.NEAR_MISS_SCORE * multiplier });
+  }
+
+  getComboMultiplier() {
+    return Math.min(this.COMBO_MAX_MULTIPLIER, 1 + Math.floor(this.combo / this.COMBO_STEP));
+  }
+
+  addCombo(points) {
+    const before = this.getComboMultiplier();
+    this.combo += points;
+    this.comboTimer = this.COMBO_WINDOW;
+    const multiplier = this.getComboMultiplier();
+    if (multiplier > before) this.events.push({ type: "combo", multiplier });
+  }
+
+  breakCombo() {
+    if (this.combo > 0) this.events.push({ type: "comboEnd", multiplier: this.getComboMultiplier() });
+    this.combo = 0;
+    this.comboTimer = 0;
+  }
+
+  updateCombo(dt) {
+    if (this.combo === 0) return;
+    this.comboTimer -= dt * 1000;
+    if (this.comboTimer > 0) return;
+    const multiplier = this.getComboMultiplier();
+    this.combo = multiplier > 1 ? (multiplier - 2) * this.COMBO_STEP : 0;
+    this.comboTimer = this.combo > 0 ? this.COMBO_DECAY_INTERVAL : 0;
+    this.events.push({ type: this.combo > 0 ? "comboDecay" : "comboEnd", multiplier: this.getComboMultiplier() });
+  }
+
+  // How many SPEED_INCREMENT steps the car has climbed above START_SPEED.
+  getSpeedTier() {
+    return Math.round((this.speed - this.START_SPEED) / this.SPEED_INCREMENT);
+  }
+
+  // The run's totals, as scored by computeScore().
+  getStats() {
+    return {
+      distance: Math.floor(this.totalDistance),
+      coins: this.coinCount,
+      nearMisses: this.nearMisses,
+      powerups: this.powerupsCollected,
+      speedTier: this.getSpeedTier(),
+      comboBonus: this.comboBonus,
+    };
+  }
+
+  checkPowerupCollisions() {
+    this.powerups = this.powerups.filter((powerup) => {
+      if (!this.intersects(this.car, powerup)) return true;
+      this.powerupsCollected++;
+      this.activatePowerup(powerup.kind);
+      return false;
+    });
+  }
+
+  checkPickupCollisions() {
+    this.pickups = this.pickups.filter((pickup) => {
+      if (!this.intersects(this.car, pickup)) return true;
+      this.collectPickup(pickup);
+      return false;
+    });
+  }
+
+  collectPickup(pickup) {
+    const type = pickup.spec;
+    if (type.charge) this.charge(type.charge);
+    if (type.heal) this.health = Math.min(this.MAX_HEALTH, this.health + type.heal);
+    this.events.push({ type: "pickup", pickup: pickup.kind });
+  }
+
+  savePreviousPositions() {
+    for (const entity of [this.car, ...this.obstacles, ...this.coins, ...this.scenery, ...this.powerups, ...this.pickups]) {
+      entity.prevX = entity.x;
+      entity.prevY = entity.y;
+      entity.prevZ = entity.z;
+    }
+  }
+
+  // The simulation stands still until started; the countdown before a run belongs to the game.
+  start() {
+    if (this.isGameStarted) return;
+    this.isGameStarted = true;
+    this.events.push({ type: "start" });
+  }
+
+  step(dt) {
+    if (!this.isGameStarted || this.gameOver) return;
+    this.savePreviousPositions();
+    this.tick++;
+    this.simulationTime += dt * 1000;
+    this.updateLaneChange(dt);
+    this.processInputQueue();
+    this.updateAutopilot();
+    this.updateVertical(dt);
+    this.updateEffects(dt);
+    this.invulnerable = Math.max(0, this.invulnerable - dt * 1000);
+    this.updateCombo(dt);
+    this.updateSpeed();
+
+    // Slow motion scales the world's movement; timers and the car's own
+    // controls keep running at full speed.
+    const worldDt = dt * this.speedScale;
+    this.updateRoad(worldDt);
+    this.updateBattery(this.speed * worldDt);
+    this.car.z -= this.speed * worldDt;
+    this.streamTrack();
+    for (const obstacle of this.obstacles) this.updateObstacle(obstacle, worldDt);
+    for (const coin of this.coins) {
+      coin.spin += this.COIN_SPIN_SPEED * dt;
+      coin.z += this.speed * worldDt;
+    }
+    for (const item of this.scenery) item.z += this.speed * worldDt;
+    for (const powerup of this.powerups) {
+      powerup.spin += this.POWERUP_SPIN_SPEED * dt;
+      powerup.z += this.speed * worldDt;
+    }
+    for (const pickup of this.pickups) pickup.z += this.speed * worldDt;
+    this.trackEnd += this.speed * worldDt;
+    this.checkCollisions();
+    this.checkCoinCollisions(dt);
+    this.checkPowerupCollisions();
+    this.checkPickupCollisions();
+    this.checkNearMisses();
+    if (this.TIME_LIMIT > 0 && !this.gameOver && this.simulationTime >= this.TIME_LIMIT) {
+      this.gameOver = true;
+      this.endReason = "timeUp";
+      this.events.push({ type: "timeUp" });
+    }
+  }
+
+  getTimeRemaining() {
+    return Math.max(this.TIME_LIMIT - this.simulationTime, 0);
+  }
+}
@@ -0,0 +1,55 @@
+// Legal moves between the game's top-level states.
+export const STATE_TRANSITIONS = {
+  boot: ["menu", "countdown"],
+  menu: ["countdown", "replay"],
+  countdown: ["playing", "paused", "menu"],
+  playing: ["paused", "crashed", "gameOver"],
+  paused: ["countdown", "playing", "menu"],
+  crashed: ["gameOver"],
+  gameOver: ["countdown", "menu", "replay"],
+  replay: ["gameOver", "menu"],
+};
+
+// A finite state machine with per-state enter/exit/update hooks and change listeners.
+export class StateMachine {
+  constructor(transitions, initial) {
+    this.transitions = transitions;
+    this.state = initial;
+    this.previous = null;
+    this.hooks = {};
+    this.listeners = new Set();
+  }
+
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  can(state) {
+    return (this.transitions[this.state] || []).includes(state);
+  }
+
+  on(state, hooks) {
+    this.hooks[state] = { ...this.hooks[state], ...hooks };
+    return this;
+  }
+
+  // Returns a function that removes the listener.
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  transition(state, data = {}) {
+    if (!this.can(state)) throw new Error(`Illegal state transition: ${this.state} -> ${state}`);
+    const from = this.state;
+    this.hooks[from]?.exit?.(state, data);
+    this.previous = from;
+    this.state = state;
+    this.hooks[state]?.enter?.(from, data);
+    for (const listener of this.listeners) listener(state, from, data);
+  }
+
+  update(dt) {
+    this.hooks[this.state]?.update?.(dt);
+  }
+}
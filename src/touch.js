@@ -0,0 +1,120 @@
+// Swipe and tap gestures on the canvas, plus optional on-screen lane buttons.
+// Only the first finger down is tracked; extra fingers are ignored until it lifts.
+export class TouchControls {
+  constructor(game, target) {
+    this.game = game;
+    this.settings = game.settings;
+    this.target = target;
+    this.activeTouch = null;
+    this.visible = false;
+    target.style.touchAction = "none";
+
+    const options = { signal: game.abortController.signal, passive: false };
+    target.addEventListener("touchstart", (event) => this.onTouchStart(event), options);
+    target.addEventListener("touchmove", (event) => this.onTouchMove(event), options);
+    target.addEventListener("touchend", (event) => this.onTouchEnd(event), options);
+    target.addEventListener("touchcancel", (event) => this.onTouchCancel(event), options);
+    this.createButtons();
+  }
+
+  createButtons() {
+    const buttons = document.createElement("div");
+    buttons.id = "touchButtons";
+    buttons.style.position = "fixed";
+    buttons.style.left = "0";
+    buttons.style.right = "0";
+    buttons.style.bottom = "30px";
+    buttons.style.display = "none";
+    buttons.style.justifyContent = "space-between";
+    buttons.style.padding = "0 30px";
+    buttons.style.pointerEvents = "none";
+    buttons.style.zIndex = "1000";
+
+    for (const [label, direction] of [
+      ["◀", -1],
+      ["▶", 1],
+    ]) {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.style.width = "90px";
+      button.style.height = "90px";
+      button.style.borderRadius = "50%";
+      button.style.border = "2px solid rgba(255, 255, 255, 0.6)";
+      button.style.backgroundColor = "rgba(0, 0, 0, 0.35)";
+      button.style.color = "white";
+      button.style.fontSize = "36px";
+      button.style.pointerEvents = "auto";
+      button.style.touchAction = "none";
+      button.addEventListener("pointerdown", (event) => {
+        event.preventDefault();
+        this.game.handleAction(direction < 0 ? "left" : "right");
+      }, { signal: this.game.abortController.signal });
+      buttons.appendChild(button);
+    }
+    this.buttons = buttons;
+    this.game.mount(buttons);
+  }
+
+  hasTouch() {
+    return "ontouchstart" in window || navigator.maxTouchPoints > 0;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.updateButtons();
+  }
+
+  updateButtons() {
+    const mode = this.settings.get("touchButtons");
+    const enabled = mode === "on" || (mode === "auto" && this.hasTouch());
+    this.buttons.style.display = this.visible && enabled ? "flex" : "none";
+  }
+
+  findTouch(event) {
+    if (!this.activeTouch) return undefined;
+    return Array.from(event.changedTouches).find((touch) => touch.identifier === this.activeTouch.id);
+  }
+
+  onTouchStart(event) {
+    event.preventDefault();
+    this.game.audio.unlock();
+    if (this.activeTouch) return;
+    const touch = event.changedTouches[0];
+    this.activeTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY, time: performance.now(), swiped: false };
+  }
+
+  // A swipe fires as soon as the finger has travelled far enough within the
+  // time limit, in whichever axis it moved most; one touch produces at most one swipe.
+  onTouchMove(event) {
+    event.preventDefault();
+    const touch = this.findTouch(event);
+    if (!touch || this.activeTouch.swiped) return;
+    const dx = touch.clientX - this.activeTouch.x;
+    const dy = touch.clientY - this.activeTouch.y;
+    const horizontal = Math.abs(dx) > Math.abs(dy);
+    if (Math.abs(horizontal ? dx : dy) < this.settings.get("swipeDistance")) return;
+    if (performance.now() - this.activeTouch.time > this.settings.get("swipeTime")) return;
+    this.activeTouch.swiped = true;
+    if (horizontal) {
+      this.game.handleBinding(dx < 0 ? "gesture:swipeLeft" : "gesture:swipeRight");
+    } else {
+      this.game.handleBinding(dy < 0 ? "gesture:swipeUp" : "gesture:swipeDown");
+    }
+  }
+
+  onTouchEnd(event) {
+    const touch = this.findTouch(event);
+    if (!touch) return;
+    event.preventDefault();
+    const start = this.activeTouch;
+    this.activeTouch = null;
+    if (start.swiped) return;
+    if (Math.hypot(touch.clientX - start.x, touch.clientY - start.y) < this.settings.get("swipeDistance") / 2) {
+      this.game.handleBinding("gesture:tap");
+    }
+  }
+
+  onTouchCancel(event) {
+    if (this.findTouch(event)) this.activeTouch = null;
+  }
+}
@@ -0,0 +1,333 @@
+import {
+  AmbientLight,
+  BoxGeometry,
+  CylinderGeometry,
+  DirectionalLight,
+  DoubleSide,
+  Group,
+  Mesh,
+  MeshPhongMaterial,
+  PerspectiveCamera,
+  PlaneGeometry,
+  PointLight,
+  Scene,
+  WebGLRenderer,
+} from "three";
+import { ObjectPool } from "./pool.js";
+import { OBSTACLE_TYPES, PICKUP_TYPES, POWERUP_TYPES, SCENERY_TYPES } from "./sim/entities.js";
+
+export const CAR_COLORS = [
+  { name: "Red Multi-Coat", color: 0xff0000 },
+  { name: "Pearl White", color: 0xf0f0f0 },
+  { name: "Solid Black", color: 0x111111 },
+  { name: "Deep Blue", color: 0x1a47a8 },
+  { name: "Quicksilver", color: 0xa0a0a0 },
+];
+
+// Mirrors a Simulation into a three.js scene. It only reads simulation state.
+export class View {
+  constructor(simulation, container = document.body) {
+    this.simulation = simulation;
+    this.ROAD_LENGTH = simulation.ROAD_LENGTH;
+    this.ROAD_SEGMENTS = simulation.ROAD_SEGMENTS;
+    this.roadSegments = [];
+    this.laneMarkings = [];
+    this.meshes = new Map();
+    this.quality = "high";
+    this.isIdle = false;
+    this.idleTime = 0;
+    this.modelParts = new Map([...OBSTACLE_TYPES, ...SCENERY_TYPES, ...POWERUP_TYPES, ...PICKUP_TYPES].map((type) => [type.id, type.parts.map((part) => this.createPart(part))]));
+    this.coinGeometry = new CylinderGeometry(0.5, 0.5, 0.1, 32);
+    this.coinMaterial = new MeshPhongMaterial({ color: 0xffd700, emissive: 0xffd700, emissiveIntensity: 0.3, shininess: 100 });
+    this.scene = new Scene();
+    this.camera = new PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    this.camera.position.set(0, 5.5, 8);
+    this.camera.rotation.x = -0.3;
+    this.renderer = new WebGLRenderer({ antialias: true, logarithmicDepthBuffer: true });
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.renderer.setClearColor(0x87ceeb);
+    container.appendChild(this.renderer.domElement);
+    this.setupLighting();
+    this.createRoad();
+    this.createCar();
+    this.laneMarkings.forEach((markings, i) => {
+      for (const marking of markings) marking.userData.offset = marking.position.z - this.roadSegments[i].position.z;
+    });
+    // Pooled meshes stay in the scene and are hidden on release, sharing one geometry and material per type.
+    const hide = (mesh) => {
+      mesh.visible = false;
+    };
+    this.pools = {
+      coin: new ObjectPool(() => this.addPooledMesh(this.createCoinWithLight()), hide).prewarm(8),
+    };
+    for (const type of [...OBSTACLE_TYPES, ...SCENERY_TYPES, ...POWERUP_TYPES, ...PICKUP_TYPES]) {
+      this.pools[type.id] = new ObjectPool(() => this.addPooledMesh(this.createModel(type)), hide).prewarm(2);
+    }
+  }
+
+  setupLighting() {
+    const ambientLight = new AmbientLight(0xffffff, 0.7);
+    this.scene.add(ambientLight);
+    const directionalLight = new DirectionalLight(0xffffff, 1);
+    directionalLight.position.set(10, 20, 10);
+    this.scene.add(directionalLight);
+  }
+
+  createRoad() {
+    for (let i = 0; i < this.ROAD_SEGMENTS; i++) {
+      const geometry = new PlaneGeometry(16, this.ROAD_LENGTH);
+      const material = new MeshPhongMaterial({ color: 0x333333, side: DoubleSide });
+      const segment = new Mesh(geometry, material);
+      segment.rotation.x = -Math.PI / 2;
+      segment.position.z = -(i * this.ROAD_LENGTH);
+      this.scene.add(segment);
+      this.roadSegments.push(segment);
+      this.laneMarkings.push(this.createLaneMarkings(segment.position.z));
+    }
+  }
+
+  createLaneMarkings(z) {
+    const markings = [this.createSolidLine(-6, z), this.createSolidLine(6, z)];
+    markings.push(...this.createDottedLine(-2, z), ...this.createDottedLine(2, z));
+    return markings;
+  }
+
+  createSolidLine(x, z) {
+    const geometry = new PlaneGeometry(0.25, this.ROAD_LENGTH);
+    const material = new MeshPhongMaterial({ color: 0xffffff, side: DoubleSide });
+    const line = new Mesh(geometry, material);
+    line.rotation.x = -Math.PI / 2;
+    line.position.set(x, 0.01, z);
+    this.scene.add(line);
+    return line;
+  }
+
+  createDottedLine(x, z) {
+    const dashes = [];
+    const dashCount = Math.floor(this.ROAD_LENGTH / 6);
+    for (let i = 0; i < dashCount; i++) {
+      const geometry = new PlaneGeometry(0.25, 3);
+      const material = new MeshPhongMaterial({ color: 0xffffff, side: DoubleSide });
+      const dash = new Mesh(geometry, material);
+      dash.rotation.x = -Math.PI / 2;
+      dash.position.set(x, 0.01, z + i * 6 - this.ROAD_LENGTH / 2);
+      this.scene.add(dash);
+      dashes.push(dash);
+    }
+    return dashes;
+  }
+
+  createCar() {
+    this.car = new Group();
+    const body = new Mesh(new BoxGeometry(2, 1, 4), new MeshPhongMaterial({ color: 0xff0000 }));
+    this.car.add(body);
+    const wheelGeometry = new CylinderGeometry(0.4, 0.4, 0.4);
+    const wheelMaterial = new MeshPhongMaterial({ color: 0x333333 });
+    for (const [x, z] of [
+      [-1.2, 1],
+      [1.2, 1],
+      [-1.2, -1],
+      [1.2, -1],
+    ]) {
+      const wheel = new Mesh(wheelGeometry, wheelMaterial);
+      wheel.rotation.z = Math.PI / 2;
+      wheel.position.set(x, -0.4, z);
+      this.car.add(wheel);
+    }
+    this.car.position.y = 0.5;
+    this.scene.add(this.car);
+  }
+
+  // Builds the shared geometry and material for one part of a catalogue entry.
+  createPart(part) {
+    return {
+      geometry: part.shape === "cylinder" ? new CylinderGeometry(...part.args) : new BoxGeometry(...part.args),
+      material: new MeshPhongMaterial(part.material),
+      position: part.position || [0, 0, 0],
+      rotation: part.rotation || [0, 0, 0],
+    };
+  }
+
+  createModel(type) {
+    const model = new Group();
+    for (const part of this.modelParts.get(type.id)) {
+      const mesh = new Mesh(part.geometry, part.material);
+      mesh.position.set(...part.position);
+      mesh.rotation.set(...part.rotation);
+      model.add(mesh);
+    }
+    if (type.light) {
+      const light = new PointLight(type.light.color, type.light.intensity, type.light.distance);
+      light.position.set(0, type.light.y, 0);
+      model.add(light);
+    }
+    return model;
+  }
+
+  createCoin() {
+    const coin = new Mesh(this.coinGeometry, this.coinMaterial);
+    coin.rotation.x = Math.PI / 2;
+    return coin;
+  }
+
+  createCoinWithLight() {
+    const coin = this.createCoin();
+    const light = new PointLight(0xffd700, 1, 5);
+    light.position.set(0, 0, 0);
+    coin.add(light);
+    return coin;
+  }
+
+  addPooledMesh(mesh) {
+    mesh.traverse((object) => {
+      if (object.isPointLight) object.visible = this.quality !== "low";
+    });
+    mesh.visible = false;
+    this.scene.add(mesh);
+    return mesh;
+  }
+
+  // Obstacles, scenery and power-ups are pooled by kind, everything else by type.
+  getPoolKey(entity) {
+    return entity.kind || entity.type;
+  }
+
+  getMesh(entity) {
+    let mesh = this.meshes.get(entity);
+    if (!mesh) {
+      mesh = this.pools[this.getPoolKey(entity)].acquire();
+      mesh.visible = true;
+      this.meshes.set(entity, mesh);
+    }
+    return mesh;
+  }
+
+  getPoolStats() {
+    const stats = {};
+    for (const type in this.pools) stats[type] = this.pools[type].getStats();
+    return stats;
+  }
+
+  // Switches to another simulation, handing the old one's meshes back to their pools.
+  setSimulation(simulation) {
+    for (const [entity, mesh] of this.meshes) this.pools[this.getPoolKey(entity)].release(mesh);
+    this.meshes.clear();
+    this.simulation = simulation;
+  }
+
+  // While idle (behind the main menu) the car bobs gently in place.
+  setIdle(isIdle) {
+    this.isIdle = isIdle;
+  }
+
+  idle(dt) {
+    this.idleTime += dt;
+  }
+
+  setFov(fov) {
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
+  }
+
+  // Low quality renders at 1x pixel ratio and turns off the per-object point lights.
+  setQuality(quality) {
+    this.quality = quality;
+    const maxPixelRatio = quality === "medium" ? 1.5 : 2;
+    this.renderer.setPixelRatio(quality === "low" ? 1 : Math.min(window.devicePixelRatio || 1, maxPixelRatio));
+    this.scene.traverse((object) => {
+      if (object.isPointLight) object.visible = quality !== "low";
+    });
+  }
+
+  setCarColor(color) {
+    this.car.children[0].material.color.setHex(color);
+  }
+
+  interpolate(entity, object, alpha) {
+    object.position.set(
+      entity.prevX + (entity.x - entity.prevX) * alpha,
+      entity.prevY + (entity.y - entity.prevY) * alpha,
+      entity.prevZ + (entity.z - entity.prevZ) * alpha,
+    );
+  }
+
+  resize(width, height) {
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+  }
+
+  orient(entity, mesh) {
+    switch (entity.type) {
+      case "coin":
+        mesh.rotation.z = entity.spin;
+        break;
+      case "scenery":
+      case "pickup":
+        mesh.rotation.y = entity.x > 0 ? Math.PI : 0;
+        break;
+      case "powerup":
+        mesh.rotation.y = entity.spin;
+        break;
+      default:
+        mesh.rotation.x = entity.spin;
+    }
+  }
+
+  render(alpha) {
+    const simulation = this.simulation;
+    const entities = new Set([...simulation.obstacles, ...simulation.coins, ...simulation.scenery, ...simulation.powerups, ...simulation.pickups]);
+    for (const [entity, mesh] of this.meshes) {
+      if (!entities.has(entity)) {
+        this.pools[this.getPoolKey(entity)].release(mesh);
+        this.meshes.delete(entity);
+      }
+    }
+    for (const entity of entities) {
+      const mesh = this.getMesh(entity);
+      this.interpolate(entity, mesh, alpha);
+      this.orient(entity, mesh);
+    }
+    this.interpolate(simulation.car, this.car, alpha);
+    // The car blinks while it is invulnerable after a hit.
+    this.car.visible = !(simulation.invulnerable > 0 && Math.floor(simulation.invulnerable / 100) % 2);
+    this.car.scale.y = simulation.isDucking ? 0.5 : 1;
+    this.car.children[0].material.emissive.setHex(simulation.hasEffect("shield") ? 0x1565c0 : 0x000000);
+    if (simulation.isDucking) this.car.position.y -= 0.25;
+    if (this.isIdle) this.car.position.y += Math.sin(this.idleTime * 8) * 0.03;
+    simulation.roadSegments.forEach((segment, i) => {
+      this.roadSegments[i].position.z = segment.z;
+      for (const marking of this.laneMarkings[i]) marking.position.z = segment.z + marking.userData.offset;
+    });
+    this.camera.position.x = this.car.position.x;
+    this.camera.position.y = 5.5;
+    this.camera.position.z = this.car.position.z + 8;
+    this.camera.rotation.x = -0.3;
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  // Frees every geometry, material and light in the scene, then the renderer and its canvas.
+  dispose() {
+    const resources = new Set();
+    this.scene.traverse((object) => {
+      if (object.geometry) resources.add(object.geometry);
+      if (object.material) {
+        for (const material of [].concat(object.material)) resources.add(material);
+      }
+      if (object.isLight) object.dispose?.();
+    });
+    // Parts of models that never spawned are not in the scene.
+    for (const parts of this.modelParts.values()) {
+      for (const part of parts) {
+        resources.add(part.geometry);
+        resources.add(part.material);
+      }
+    }
+    for (const resource of resources) resource.dispose();
+    this.scene.clear();
+    this.meshes.clear();
+    for (const type in this.pools) this.pools[type].free.length = 0;
+    this.renderer.dispose();
+    this.renderer.domElement.remove();
+  }
+}
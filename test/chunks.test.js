@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseChunks } from "../src/sim/index.js";
+import { CHUNKS } from "./helpers.js";
+
+const parse = (chunk) => parseChunks({ version: 1, chunks: [{ id: "test", tier: 0, length: 20, ...chunk }] });
+
+describe("parseChunks", () => {
+  it("loads the shipped track file", () => {
+    assert.ok(CHUNKS.length > 0);
+    assert.ok(CHUNKS.every((chunk) => chunk.obstacles.length + chunk.coins.length + chunk.scenery.length + chunk.powerups.length > 0));
+  });
+
+  it("fills in defaults", () => {
+    const [chunk] = parse({ coins: [{ lane: 1, offset: 0 }] });
+    assert.equal(chunk.weight, 1);
+    assert.deepEqual(chunk.coins, [{ lane: 1, offset: 0, count: 1, spacing: 6 }]);
+  });
+
+  it("rejects numeric fields that are not finite numbers", () => {
+    assert.throws(() => parse({ length: "20" }), /length must be a positive number/);
+    assert.throws(() => parse({ weight: "2" }), /weight must be a positive number/);
+    assert.throws(() => parse({ weight: Infinity }), /weight must be a positive number/);
+    assert.throws(() => parse({ obstacles: [{ type: "cone", lane: 0, offset: "5" }] }), /offset must lie within the chunk/);
+    assert.throws(() => parse({ coins: [{ lane: 0, offset: 0, count: 2, spacing: "4" }] }), /spacing must be a positive number/);
+  });
+
+  it("rejects unknown types and duplicate ids", () => {
+    assert.throws(() => parse({ obstacles: [{ type: "wall", lane: 0, offset: 0 }] }), /unknown obstacle type "wall"/);
+    assert.throws(
+      () =>
+        parseChunks({
+          version: 1,
+          chunks: [
+            { id: "a", tier: 0, length: 5 },
+            { id: "a", tier: 0, length: 5 },
+          ],
+        }),
+      /duplicate id/,
+    );
+  });
+});
@@ -0,0 +1,20 @@
+import { readFileSync } from "node:fs";
+import { parseChunks, Simulation } from "../src/sim/index.js";
+
+export const CHUNKS = parseChunks(readFileSync(new URL("../public/chunks.json", import.meta.url), "utf8"));
+export const STEP = 1 / 60;
+
+// A simulation on an empty road: no chunks, coins, power-ups or pickups.
+export function emptyRoad(settings = {}) {
+  return new Simulation({ CHUNKS: [], COIN_SPAWN_INTERVAL: 1e9, POWERUP_CHANCE: 0, PICKUP_TYPES: [], ...settings });
+}
+
+// Starts the simulation and steps it for the given time. `inputs` maps a step number to a player input.
+export function run(sim, seconds, inputs = {}) {
+  sim.start();
+  for (let i = 0; i < seconds / STEP && !sim.gameOver; i++) {
+    if (inputs[i]) sim.applyInput(inputs[i]);
+    sim.step(STEP);
+  }
+  return sim;
+}
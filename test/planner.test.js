@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DIFFICULTIES, OBSTACLE_TYPES, Planner, Simulation } from "../src/sim/index.js";
+import { CHUNKS, emptyRoad, STEP } from "./helpers.js";
+
+const place = (sim, id, lane, z) => sim.obstacles.push(sim.createObstacle(OBSTACLE_TYPES.find((type) => type.id === id), lane, z));
+const plan = (sim) => sim.planner.plan(sim.getPlannerState());
+
+// Drives a run on autopilot and returns how many hits it took.
+const drive = (sim, seconds) => {
+  sim.start();
+  for (let i = 0; i < seconds / STEP && !sim.gameOver; i++) {
+    sim.effects.autopilot = Infinity;
+    sim.step(STEP);
+  }
+  return sim.MAX_HEALTH - sim.health;
+};
+
+describe("Planner", () => {
+  it("works from a plain state snapshot", () => {
+    const sim = emptyRoad();
+    sim.start();
+    place(sim, "block", 1, sim.car.z - 20);
+    const state = JSON.parse(JSON.stringify(sim.getPlannerState()));
+    const planner = new Planner(sim.planner.physics);
+    assert.ok(["left", "right"].includes(planner.plan(state)));
+    assert.equal(planner.plan({ ...state, obstacles: [] }), null);
+  });
+
+  it("jumps low obstacles and ducks under signs", () => {
+    const jump = emptyRoad();
+    jump.start();
+    place(jump, "barrier", 0, jump.car.z - 8);
+    place(jump, "barrier", 1, jump.car.z - 8);
+    place(jump, "barrier", 2, jump.car.z - 8);
+    assert.equal(plan(jump), "jump");
+
+    const duck = emptyRoad();
+    duck.start();
+    for (const lane of [0, 1, 2]) place(duck, "sign", lane, duck.car.z - 5);
+    assert.equal(plan(duck), "duck");
+  });
+
+  it("keeps the car alive on autopilot", () => {
+    const sim = new Simulation({ seed: 3, CHUNKS, MAX_HEALTH: 1, BATTERY_CAPACITY: 0 });
+    drive(sim, 60);
+    assert.equal(sim.gameOver, false);
+  });
+
+  it("stays off sign lanes it can't duck into", () => {
+    // A barrier, a sign and a block side by side: the car has to jump in
+    // one lane and duck in the next.
+    const hurdle = CHUNKS.filter((chunk) => chunk.id === "mixedHurdle").map((chunk) => ({ ...chunk, tier: 0 }));
+    const runs = { easy: [2, 6], normal: [13, 14], insane: [7, 8] };
+    for (const [id, seeds] of Object.entries(runs)) {
+      const { settings } = DIFFICULTIES.find((difficulty) => difficulty.id === id);
+      for (const seed of seeds) {
+        const sim = new Simulation({ ...settings, seed, CHUNKS: hurdle, MAX_HEALTH: 99, BATTERY_CAPACITY: 0 });
+        assert.equal(drive(sim, 90), 0, `${id} seed ${seed}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseReplay, REPLAY_VERSION } from "../src/sim/index.js";
+import { emptyRoad, run, STEP } from "./helpers.js";
+
+const replay = (fields = {}) => ({ ...run(emptyRoad(), 1, { 10: "left" }).getReplay(), timestep: STEP, ...fields });
+
+describe("parseReplay", () => {
+  it("accepts replays from the current version", () => {
+    assert.equal(replay().version, REPLAY_VERSION);
+    assert.deepEqual(parseReplay(JSON.stringify(replay())).inputs, [[10, "left"]]);
+  });
+
+  it("treats replays without a mode or difficulty as Endless runs on Normal", () => {
+    assert.equal(parseReplay(replay({ mode: undefined })).mode, "endless");
+    assert.equal(parseReplay(replay({ difficulty: undefined })).difficulty, "normal");
+  });
+
+  it("rejects malformed files", () => {
+    assert.throws(() => parseReplay({}), /Invalid replay file/);
+    assert.throws(() => parseReplay(replay({ timestep: 0 })), /Invalid replay file/);
+    assert.throws(() => parseReplay(replay({ inputs: [[-1, "left"]] })), /Invalid replay file/);
+    assert.throws(() => parseReplay(replay({ mode: "demolition" })), /Invalid replay file/);
+    assert.throws(() => parseReplay(replay({ difficulty: "nightmare" })), /Invalid replay file/);
+  });
+
+  it("explains version mismatches", () => {
+    assert.throws(() => parseReplay(replay({ version: REPLAY_VERSION - 1 })), /older version of the game/);
+    assert.throws(() => parseReplay(replay({ version: REPLAY_VERSION + 1 })), /newer version of the game/);
+  });
+});
+
+describe("replay tuning", () => {
+  const custom = (tuning) => replay({ difficulty: "custom", tuning });
+  const tuning = () => emptyRoad({ difficulty: "custom", OBSTACLE_MIX: { cone: 2 } }).getReplay().tuning;
+
+  it("keeps only the Custom difficulty fields and known obstacle weights", () => {
+    const parsed = parseReplay(custom({ ...tuning(), BATTERY_DRAIN: 0, CHUNKS: [], OBSTACLE_MIX: { cone: 2, ghost: 5 } })).tuning;
+    assert.equal(parsed.BATTERY_DRAIN, undefined);
+    assert.equal(parsed.CHUNKS, undefined);
+    assert.deepEqual(parsed.OBSTACLE_MIX, { cone: 2 });
+    assert.equal(parsed.MAX_HEALTH, tuning().MAX_HEALTH);
+  });
+
+  it("rejects tuning that is missing, out of range or not numeric", () => {
+    assert.throws(() => parseReplay(custom(undefined)), /Invalid replay file/);
+    assert.throws(() => parseReplay(custom({ ...tuning(), MAX_HEALTH: 1000 })), /Invalid replay file/);
+    assert.throws(() => parseReplay(custom({ ...tuning(), START_SPEED: "20" })), /Invalid replay file/);
+    assert.throws(() => parseReplay(custom({ ...tuning(), OBSTACLE_MIX: { cone: -1 } })), /Invalid replay file/);
+  });
+
+  it("rejects tuning unless the difficulty is custom", () => {
+    assert.throws(() => parseReplay(replay({ difficulty: "hard", tuning: tuning() })), /Invalid replay file/);
+  });
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { computeScore, DEFAULT_SCORING, MODES, OBSTACLE_TYPES, Simulation } from "../src/sim/index.js";
+import { emptyRoad, run } from "./helpers.js";
+
+describe("computeScore", () => {
+  it("weights each stat by the formula", () => {
+    const { total, breakdown } = computeScore({ distance: 1000, coins: 20, nearMisses: 3, powerups: 2, speedTier: 4, comboBonus: 150 });
+    assert.deepEqual(breakdown, { distance: 1000, coins: 200, nearMisses: 150, powerups: 200, speedTier: 400, comboBonus: 150 });
+    assert.equal(total, 2100);
+  });
+
+  it("ignores stats the formula does not mention and treats missing stats as zero", () => {
+    assert.deepEqual(computeScore({ distance: 10, unknown: 99 }, { distance: 2, coins: 5 }), { total: 20, breakdown: { distance: 20, coins: 0 } });
+  });
+
+  it("uses each mode's own formula", () => {
+    const stats = { distance: 400, coins: 30 };
+    const [endless, coinRush] = ["endless", "coinRush"].map((id) => computeScore(stats, MODES.find((mode) => mode.id === id).scoring).total);
+    assert.equal(endless, computeScore(stats, DEFAULT_SCORING).total);
+    assert.ok(coinRush > endless);
+  });
+});
+
+describe("Simulation.getStats", () => {
+  it("reports the run's scoring inputs", () => {
+    const sim = emptyRoad({ SPEED_INCREASE_INTERVAL: 1e3 });
+    sim.coins.push(sim.createCoin(sim.currentLane, sim.car.z - 10));
+    run(sim, 3.05);
+    const stats = sim.getStats();
+    assert.equal(stats.coins, 1);
+    assert.equal(stats.speedTier, 3);
+    assert.equal(stats.distance, Math.floor(sim.totalDistance));
+  });
+
+  it("scores a single near miss once", () => {
+    const sim = emptyRoad();
+    sim.obstacles.push(sim.createObstacle(OBSTACLE_TYPES.find((type) => type.id === "block"), 0, sim.car.z - 10));
+    run(sim, 1);
+    assert.equal(sim.nearMisses, 1);
+    const { breakdown } = computeScore(sim.getStats());
+    assert.equal(breakdown.nearMisses + breakdown.comboBonus, DEFAULT_SCORING.nearMisses);
+  });
+
+  it("starts from zero", () => {
+    assert.equal(computeScore(new Simulation().getStats()).total, 0);
+  });
+});
@@ -0,0 +1,427 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { OBSTACLE_TYPES, parseChunks, parseReplay, PICKUP_TYPES, Simulation } from "../src/sim/index.js";
+import { CHUNKS, emptyRoad, run, STEP } from "./helpers.js";
+
+const obstacle = (id) => OBSTACLE_TYPES.find((type) => type.id === id);
+const pickup = (id) => PICKUP_TYPES.find((type) => type.id === id);
+const INPUTS = { 30: "left", 90: "jump", 150: "right", 151: "right", 240: "duck", 400: "left" };
+const snapshot = (sim) =>
+  JSON.stringify({
+    tick: sim.tick,
+    distance: sim.totalDistance,
+    coins: sim.coinCount,
+    health: sim.health,
+    battery: sim.battery,
+    car: [sim.car.x, sim.car.y, sim.car.z],
+    obstacles: sim.obstacles.map((o) => [o.kind, o.x, o.z]),
+    gameOver: sim.gameOver,
+  });
+
+describe("determinism", () => {
+  it("produces the same run from the same seed and inputs", () => {
+    const a = run(new Simulation({ seed: 42, CHUNKS }), 30, INPUTS);
+    const b = run(new Simulation({ seed: 42, CHUNKS }), 30, INPUTS);
+    assert.ok(a.tick > 0);
+    assert.equal(snapshot(a), snapshot(b));
+  });
+
+  it("produces different tracks from different seeds", () => {
+    const a = run(new Simulation({ seed: 1, CHUNKS }), 10);
+    const b = run(new Simulation({ seed: 2, CHUNKS }), 10);
+    assert.notEqual(snapshot(a), snapshot(b));
+  });
+
+  it("restarts the same track when reset with the same seed", () => {
+    const sim = run(new Simulation({ seed: 5, CHUNKS }), 10);
+    const first = snapshot(sim);
+    sim.reset(5);
+    assert.equal(snapshot(run(sim, 10)), first);
+  });
+
+  it("replays a recorded run exactly", () => {
+    const sim = run(new Simulation({ seed: 7, CHUNKS }), 20, INPUTS);
+    const replay = parseReplay(JSON.stringify({ ...sim.getReplay(), timestep: STEP }));
+    const copy = new Simulation({ seed: replay.seed, CHUNKS, INPUT_BUFFER_WINDOW: replay.inputBuffer });
+    copy.start();
+    let next = 0;
+    while (copy.tick < replay.ticks && !copy.gameOver) {
+      while (next < replay.inputs.length && replay.inputs[next][0] <= copy.tick) {
+        copy.applyInput(replay.inputs[next][1]);
+        next++;
+      }
+      copy.step(replay.timestep);
+    }
+    assert.equal(snapshot(copy), snapshot(sim));
+  });
+});
+
+describe("Simulation", () => {
+  it("stands still until started", () => {
+    const sim = new Simulation();
+    for (let i = 0; i < 60; i++) sim.step(STEP);
+    assert.equal(sim.tick, 0);
+    assert.equal(sim.totalDistance, 0);
+    run(sim, 0.5);
+    assert.ok(sim.totalDistance > 0);
+    assert.ok(sim.events.some((e) => e.type === "start"));
+  });
+
+  it("moves the car one lane at a time", () => {
+    const sim = run(emptyRoad(), 0.5, { 0: "left" });
+    assert.equal(sim.currentLane, 0);
+    assert.equal(sim.car.x, sim.LANE_POSITIONS[0]);
+    assert.equal(sim.moveLane(-1), false);
+  });
+
+  it("chains a quick double tap into a two-lane move", () => {
+    const sim = run(emptyRoad(), 0.5, { 0: "left", 1: "right", 2: "right" });
+    assert.equal(sim.currentLane, 2);
+    assert.equal(sim.car.x, sim.LANE_POSITIONS[2]);
+  });
+
+  it("drops presses older than the input buffer", () => {
+    const fromLeftLane = (settings) => {
+      const sim = emptyRoad(settings);
+      sim.currentLane = 0;
+      sim.car.x = sim.LANE_POSITIONS[0];
+      return run(sim, 0.5, { 0: "right", 1: "right" });
+    };
+    assert.equal(fromLeftLane().currentLane, 2);
+    assert.equal(fromLeftLane({ INPUT_BUFFER_WINDOW: 0 }).currentLane, 1);
+  });
+
+  it("raises the speed on a timer up to the maximum", () => {
+    const sim = run(emptyRoad({ SPEED_INCREASE_INTERVAL: 1000, MAX_SPEED: 19 }), 5);
+    assert.equal(sim.speed, 19);
+  });
+
+  it("stops at the maximum when the last step would pass it", () => {
+    const sim = run(emptyRoad({ SPEED_INCREASE_INTERVAL: 1000, MAX_SPEED: 20 }), 5);
+    assert.equal(sim.speed, 20);
+  });
+
+  it("ends a timed run when the clock runs out", () => {
+    const sim = run(emptyRoad({ TIME_LIMIT: 1000 }), 2);
+    assert.equal(sim.gameOver, true);
+    assert.equal(sim.endReason, "timeUp");
+    assert.equal(sim.getTimeRemaining(), 0);
+  });
+});
+
+describe("collisions", () => {
+  it("costs a life, removes the obstacle and grants invulnerability on a hit", () => {
+    const sim = emptyRoad();
+    sim.obstacles.push(
+      sim.createObstacle(obstacle("block"), sim.currentLane, sim.car.z - 10),
+      sim.createObstacle(obstacle("block"), sim.currentLane, sim.car.z - 16),
+    );
+    run(sim, 0.5);
+    assert.equal(sim.health, sim.MAX_HEALTH - 1);
+    assert.equal(sim.gameOver, false);
+    assert.ok(sim.invulnerable > 0);
+    assert.ok(sim.speedScale < 1);
+    assert.ok(sim.events.some((e) => e.type === "hit"));
+    run(sim, 1);
+    assert.equal(sim.health, sim.MAX_HEALTH - 1);
+  });
+
+  it("ends the run when the last life is lost", () => {
+    const sim = emptyRoad({ MAX_HEALTH: 1 });
+    sim.obstacles.push(sim.createObstacle(obstacle("block"), sim.currentLane, sim.car.z - 10));
+    run(sim, 1);
+    assert.equal(sim.gameOver, true);
+    assert.equal(sim.endReason, "crash");
+    assert.ok(sim.events.some((e) => e.type === "crash"));
+  });
+
+  it("clears a barrier by jumping", () => {
+    const sim = emptyRoad({ MAX_HEALTH: 1 });
+    sim.obstacles.push(sim.createObstacle(obstacle("barrier"), sim.currentLane, sim.car.z - 20));
+    run(sim, 2, { 20: "jump" });
+    assert.equal(sim.gameOver, false);
+  });
+
+  it("ducks under an overhead sign", () => {
+    const sign = (sim) => sim.createObstacle(obstacle("sign"), sim.currentLane, sim.car.z - 20);
+    const ducked = emptyRoad({ MAX_HEALTH: 1 });
+    ducked.obstacles.push(sign(ducked));
+    run(ducked, 1, { 10: "duck" });
+    assert.equal(ducked.gameOver, false);
+    const upright = emptyRoad({ MAX_HEALTH: 1 });
+    upright.obstacles.push(sign(upright));
+    run(upright, 1);
+    assert.equal(upright.gameOver, true);
+  });
+
+  it("passes obstacles in other lanes", () => {
+    const sim = emptyRoad({ MAX_HEALTH: 1 });
+    sim.obstacles.push(sim.createObstacle(obstacle("block"), 0, sim.car.z - 10), sim.createObstacle(obstacle("block"), 2, sim.car.z - 10));
+    run(sim, 1);
+    assert.equal(sim.gameOver, false);
+    assert.equal(sim.nearMisses, 2);
+  });
+
+  it("dodges an obstacle by changing lane", () => {
+    const sim = emptyRoad({ MAX_HEALTH: 1 });
+    sim.obstacles.push(sim.createObstacle(obstacle("block"), sim.currentLane, sim.car.z - 10));
+    run(sim, 1, { 0: "right" });
+    assert.equal(sim.gameOver, false);
+  });
+
+  it("collects coins in the car's lane", () => {
+    const sim = emptyRoad();
+    sim.coins.push(sim.createCoin(sim.currentLane, sim.car.z - 10), sim.createCoin(0, sim.car.z - 10));
+    run(sim, 1);
+    assert.equal(sim.coinCount, 1);
+  });
+});
+
+describe("power-ups", () => {
+  it("lets a shield absorb one hit", () => {
+    const sim = emptyRoad({ MAX_HEALTH: 1 });
+    sim.powerups.push(sim.createPowerup(sim.getPowerupType("shield"), sim.currentLane, sim.car.z - 5));
+    sim.obstacles.push(
+      sim.createObstacle(obstacle("block"), sim.currentLane, sim.car.z - 15),
+      sim.createObstacle(obstacle("block"), sim.currentLane, sim.car.z - 30),
+    );
+    run(sim, 0.6);
+    assert.equal(sim.gameOver, false);
+    assert.ok(sim.events.some((e) => e.type === "shieldHit"));
+    assert.equal(sim.hasEffect("shield"), false);
+    run(sim, 1);
+    assert.equal(sim.gameOver, true);
+  });
+
+  it("pulls coins from the neighbouring lanes with the magnet", () => {
+    const sim = emptyRoad();
+    sim.activatePowerup("magnet");
+    sim.coins.push(sim.createCoin(0, sim.car.z - 20), sim.createCoin(2, sim.car.z - 20));
+    run(sim, 1);
+    assert.equal(sim.coinCount, 2);
+  });
+
+  it("counts each coin twice with double coins", () => {
+    const sim = emptyRoad();
+    sim.activatePowerup("doubleCoins");
+    sim.coins.push(sim.createCoin(sim.currentLane, sim.car.z - 10));
+    run(sim, 1);
+    assert.equal(sim.coinCount, 2);
+  });
+
+  it("eases the world into slow motion and back out when it expires", () => {
+    const slowed = emptyRoad();
+    const normal = run(emptyRoad(), 2);
+    slowed.activatePowerup("slowMo");
+    run(slowed, 2);
+    assert.ok(slowed.speedScale < 0.7);
+    assert.ok(slowed.totalDistance < normal.totalDistance * 0.7);
+    run(slowed, 5);
+    assert.equal(slowed.hasEffect("slowMo"), false);
+    assert.ok(slowed.speedScale > 0.99);
+  });
+});
+
+describe("combo", () => {
+  it("does not count obstacles two lanes away as near misses", () => {
+    const sim = emptyRoad();
+    sim.obstacles.push(sim.createObstacle(obstacle("block"), 2, sim.car.z - 10));
+    run(sim, 1, { 0: "left" });
+    assert.equal(sim.nearMisses, 0);
+  });
+
+  it("raises the multiplier with near misses and scores them with it", () => {
+    const sim = emptyRoad();
+    for (let i = 0; i < 3; i++) sim.obstacles.push(sim.createObstacle(obstacle("block"), 0, sim.car.z - 10 - i * 10));
+    run(sim, 2);
+    assert.equal(sim.nearMisses, 3);
+    assert.equal(sim.getComboMultiplier(), 2);
+    assert.equal(sim.comboBonus, sim.NEAR_MISS_SCORE * (0 + 0 + 1));
+    assert.ok(sim.events.some((e) => e.type === "combo" && e.multiplier === 2));
+  });
+
+  it("gives coins a bonus while the multiplier is up", () => {
+    const sim = emptyRoad();
+    sim.combo = sim.COMBO_STEP;
+    sim.comboTimer = sim.COMBO_WINDOW;
+    sim.coins.push(sim.createCoin(sim.currentLane, sim.car.z - 10));
+    run(sim, 1);
+    assert.equal(sim.comboBonus, sim.COIN_SCORE);
+  });
+
+  it("decays a level at a time once the window runs out", () => {
+    const sim = emptyRoad();
+    sim.combo = 2 * sim.COMBO_STEP;
+    sim.comboTimer = sim.COMBO_WINDOW;
+    run(sim, (sim.COMBO_WINDOW + 100) / 1000);
+    assert.equal(sim.getComboMultiplier(), 2);
+    run(sim, sim.COMBO_DECAY_INTERVAL / 1000);
+    assert.equal(sim.combo, 0);
+    assert.ok(sim.events.some((e) => e.type === "comboEnd"));
+  });
+
+  it("breaks on a hit", () => {
+    const sim = emptyRoad();
+    sim.combo = sim.COMBO_STEP;
+    sim.obstacles.push(sim.createObstacle(obstacle("block"), sim.currentLane, sim.car.z - 10));
+    run(sim, 1);
+    assert.equal(sim.combo, 0);
+  });
+});
+
+describe("battery", () => {
+  it("drains faster at higher speed", () => {
+    const sim = emptyRoad();
+    sim.updateBattery(100);
+    const slowDrain = sim.BATTERY_CAPACITY - sim.battery;
+    sim.speed = sim.MAX_SPEED;
+    sim.updateBattery(100);
+    assert.ok(sim.BATTERY_CAPACITY - sim.battery - slowDrain > slowDrain);
+  });
+
+  it("drains at the base rate when there is no speed ramp", () => {
+    const sim = emptyRoad({ START_SPEED: 30, MAX_SPEED: 30 });
+    sim.updateBattery(100);
+    assert.equal(sim.battery, sim.BATTERY_CAPACITY - 100 * sim.BATTERY_DRAIN);
+  });
+
+  it("ends the run when it runs flat", () => {
+    const sim = run(emptyRoad({ BATTERY_CAPACITY: 1 }), 5);
+    assert.equal(sim.gameOver, true);
+    assert.equal(sim.endReason, "battery");
+    assert.ok(sim.events.some((e) => e.type === "batteryLow"));
+  });
+
+  it("recharges at a Supercharger, up to capacity", () => {
+    const sim = emptyRoad();
+    const charger = pickup("supercharger");
+    sim.battery = 10;
+    sim.pickups.push(sim.createPickup(charger, sim.currentLane, sim.car.z - 10), sim.createPickup(charger, sim.currentLane, sim.car.z - 30));
+    run(sim, 0.5);
+    assert.ok(sim.battery > 10 + charger.charge - 1);
+    assert.equal(sim.batteryLow, false);
+    run(sim, 1);
+    assert.equal(sim.pickups.length, 0);
+    assert.ok(sim.battery <= sim.BATTERY_CAPACITY);
+  });
+});
+
+describe("pickups", () => {
+  const spawned = (settings) => {
+    const sim = emptyRoad({ PICKUP_TYPES, ...settings });
+    for (let i = 0; i < 2000; i++) sim.spawnCoin(-100);
+    return new Set(sim.pickups.map((p) => p.kind));
+  };
+
+  it("restores health with a repair kit, up to the maximum", () => {
+    const sim = emptyRoad();
+    sim.health = 1;
+    sim.pickups.push(
+      sim.createPickup(pickup("repairKit"), sim.currentLane, sim.car.z - 10),
+      sim.createPickup(pickup("repairKit"), sim.currentLane, sim.car.z - 20),
+      sim.createPickup(pickup("repairKit"), sim.currentLane, sim.car.z - 30),
+    );
+    run(sim, 1.5);
+    assert.equal(sim.health, sim.MAX_HEALTH);
+    assert.equal(sim.events.filter((e) => e.type === "pickup").length, 3);
+  });
+
+  it("spawns repair kits only when there is a life to restore", () => {
+    assert.ok(spawned({ MAX_HEALTH: 3 }).has("repairKit"));
+    assert.ok(!spawned({ MAX_HEALTH: 1 }).has("repairKit"));
+  });
+
+  it("spawns chargers only when the run has a battery", () => {
+    assert.ok(spawned({}).has("supercharger"));
+    assert.ok(!spawned({ BATTERY_CAPACITY: 0 }).has("supercharger"));
+  });
+});
+
+describe("spawning", () => {
+  it("keeps random-lane obstacles out of lanes occupied at their spawn point", () => {
+    const [chunk] = parseChunks({
+      version: 1,
+      chunks: [
+        {
+          id: "squeeze",
+          tier: 0,
+          length: 10,
+          obstacles: [
+            { type: "block", lane: 0, offset: 0 },
+            { type: "block", lane: 2, offset: 0 },
+            { type: "any", lane: "any", offset: 0 },
+          ],
+        },
+      ],
+    });
+    const sim = emptyRoad();
+    for (let i = 0; i < 50; i++) {
+      const [, , ...rest] = sim.buildChunk(chunk, -100).obstacles;
+      for (const o of rest) assert.deepEqual(o.lanes, [1]);
+    }
+  });
+
+  it("only spawns types whose minimum distance has been reached", () => {
+    const sim = emptyRoad();
+    const kinds = new Set();
+    for (let i = 0; i < 100; i++) kinds.add(sim.pickWeighted(sim.OBSTACLE_TYPES).id);
+    assert.deepEqual([...kinds].sort(), ["block", "cone"]);
+  });
+
+  it("leaves out obstacle types the mix weights at zero", () => {
+    const kinds = (mix) => {
+      const sim = new Simulation({ seed: 3, CHUNKS, OBSTACLE_MIX: mix });
+      for (let i = 0; i < 100; i++) sim.appendChunk();
+      return new Set(sim.obstacles.map((o) => o.kind));
+    };
+    assert.ok(kinds({}).has("cone"));
+    assert.ok(!kinds({ cone: 0 }).has("cone"));
+    assert.ok(kinds({ cone: 0 }).has("block"));
+  });
+
+  it("unlocks chunk tiers with distance", () => {
+    const sim = run(new Simulation({ seed: 3, CHUNKS, TIER_DISTANCE: 100 }), 0.1);
+    assert.equal(sim.getTier(), 0);
+    sim.totalDistance = 250;
+    assert.equal(sim.getTier(), 2);
+    sim.totalDistance = 1e6;
+    assert.equal(sim.getTier(), sim.MAX_TIER);
+  });
+
+  it("streams scenery alongside the road", () => {
+    const sim = run(new Simulation({ seed: 3, CHUNKS: CHUNKS.filter((chunk) => chunk.scenery.length) }), 5);
+    assert.ok(sim.scenery.length > 0);
+    assert.ok(sim.scenery.every((item) => Math.abs(item.x) === sim.SCENERY_X));
+  });
+});
+
+describe("isPassable", () => {
+  const place = (sim, id, lanes, z) => lanes.map((lane) => sim.createObstacle(obstacle(id), lane, z));
+
+  it("rejects a wall across every lane", () => {
+    const sim = emptyRoad();
+    assert.equal(sim.isPassable(place(sim, "block", [0, 1, 2], -60)), false);
+  });
+
+  it("accepts a row that can be jumped or ducked", () => {
+    const sim = emptyRoad();
+    assert.equal(sim.isPassable(place(sim, "cone", [0, 1, 2], -60)), true);
+    assert.equal(sim.isPassable(place(sim, "sign", [0, 1, 2], -60)), true);
+  });
+
+  it("rejects jumpable obstacles packed too tightly for one jump", () => {
+    const sim = emptyRoad();
+    assert.equal(sim.isPassable([0, 1.5, 3, 4.5, 6, 7.5, 9].flatMap((d) => place(sim, "barrier", [0, 1, 2], -60 - d))), false);
+  });
+
+  it("rejects a jump straight into a duck in the only open lanes", () => {
+    const sim = emptyRoad();
+    assert.equal(sim.isPassable([...place(sim, "cone", [0, 1, 2], -60), ...place(sim, "sign", [0, 1, 2], -62)]), false);
+  });
+
+  it("keeps long obstacles blocking their lanes until they have passed", () => {
+    const sim = emptyRoad();
+    assert.equal(sim.isPassable([...place(sim, "truck", [0], -60), ...place(sim, "block", [2], -65)]), false);
+    assert.equal(sim.isPassable([...place(sim, "truck", [0], -60), ...place(sim, "block", [2], -80)]), true);
+  });
+});